@@ -2,10 +2,13 @@
  * HiveHyde Anti-Crawler System - Anomaly Scanner
  * 
  * 功能:
- * 1. 专门用于检测自动化工具（如Puppeteer, Playwright）和模拟环境。
+ * 1. 专门用于检测自动化工具（如Puppeteer, Playwright, Selenium）和模拟环境，
+ *    包括框架注入的全局绑定、Chrome DevTools Protocol (CDP) 的副作用以及 UA、时区与语言的不一致。
  * 2. 包含一系列精准的、针对性的检测函数。
  * 3. 每个检测函数返回一个布尔值或描述异常的字符串。
  * 4. 提供一个统一的 run 方法，执行所有扫描并返回一个结果对象。
+ * 5. 跨 Realm 一致性检查: 在专用 Web Worker 与沙箱同源 iframe 中读取同一组属性，与主窗口对比。
+ *    隐身插件通常只修补主窗口的 navigator 与原型 getter，其他 Realm 中仍是原始值。
  *
  * @version 1.0
  */
@@ -13,6 +16,35 @@
     'use strict';
     const HiveHyde = window.HiveHyde || (window.HiveHyde = {});
 
+    // --- 配置常量 ---
+    // Selenium / ChromeDriver 注入到 document 或 window 上的属性
+    const SELENIUM_DOCUMENT_PATTERN = /^\$?cdc_|^\$wdc_|^\$chrome_asyncScriptInfo$|^__(webdriver|selenium|driver|fxdriver)_(evaluate|unwrapped|script_fn|script_func|script_function)$/;
+    const SELENIUM_WINDOW_KEYS = ['_selenium', 'callSelenium', '_Selenium_IDE_Recorder', '__webdriver_script_fn', '__lastWatirAlert', '__lastWatirConfirm', '__lastWatirPrompt'];
+    // Playwright / Puppeteer / PhantomJS 等框架注入的全局绑定
+    const AUTOMATION_BINDING_PATTERN = /^__playwright|^__pw_|^__pwInitScripts$|^__puppeteer|^puppeteer_|^_phantom$|^callPhantom$|^__nightmare$|^domAutomation(Controller)?$/;
+    const UTC_TIMEZONES = ['UTC', 'Etc/UTC', 'Etc/GMT', 'GMT', 'Etc/Universal', 'Etc/Zulu'];
+    const MIN_CHROME_WITH_UA_DATA = 90; // 此后的 Chromium 在安全上下文中都提供 navigator.userAgentData
+    const REALM_TIMEOUT_MS = 1000; // Worker 的应答期限 (CSP 禁止 blob: Worker 时不会应答)
+    const REALM_NAVIGATOR_FIELDS = ['userAgent', 'platform', 'hardwareConcurrency', 'languages'];
+    const NATIVE_GETTERS = ['userAgent', 'platform', 'hardwareConcurrency', 'languages', 'webdriver'];
+    const UNMASKED_RENDERER_WEBGL = 0x9246;
+
+    // Worker 中执行的脚本: 以字符串形式维护，不依赖可能被篡改的 Function.prototype.toString
+    const REALM_WORKER_SOURCE = [
+        'var nav = self.navigator;',
+        'var snapshot = { userAgent: nav.userAgent, platform: nav.platform, hardwareConcurrency: nav.hardwareConcurrency,',
+        '    languages: nav.languages ? Array.prototype.join.call(nav.languages, ",") : undefined, webdriver: nav.webdriver, renderer: null };',
+        'try {',
+        '    var gl = new OffscreenCanvas(1, 1).getContext("webgl");',
+        '    var ext = gl && gl.getExtension("WEBGL_debug_renderer_info");',
+        '    snapshot.renderer = ext ? gl.getParameter(ext.UNMASKED_RENDERER_WEBGL) : null;',
+        '} catch (e) {}',
+        'self.postMessage(snapshot);'
+    ].join('\n');
+
+    // CDP 探测结果: 每个页面会话只探测一次，避免每次请求都向访客的控制台输出对象
+    let _cdpRuntimeResult = null;
+
     // --- 私有检测函数 ---
 
     /**
@@ -119,8 +151,349 @@
     }
 
 
+    /**
+     * 检测 Selenium / ChromeDriver 留下的痕迹 (如 document 上的 $cdc_ 属性)
+     * @returns {string|false} - 命中的属性名
+     * @private
+     */
+    function _detectSeleniumArtifacts() {
+        try {
+            const documentKey = Object.getOwnPropertyNames(document).find(key => SELENIUM_DOCUMENT_PATTERN.test(key));
+            if (documentKey) {
+                return documentKey;
+            }
+            const windowKey = SELENIUM_WINDOW_KEYS.find(key => key in window)
+                || Object.getOwnPropertyNames(window).find(key => SELENIUM_DOCUMENT_PATTERN.test(key));
+            if (windowKey) {
+                return windowKey;
+            }
+            const root = document.documentElement;
+            const attribute = root && ['selenium', 'webdriver', 'driver'].find(name => root.getAttribute(name) !== null);
+            return attribute ? `attr:${attribute}` : false;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * 检测 Playwright / Puppeteer 等框架注入的全局绑定 (如 __playwright*、__pwInitScripts)
+     * @returns {string|false} - 命中的全局名
+     * @private
+     */
+    function _detectAutomationBindings() {
+        try {
+            return Object.getOwnPropertyNames(window).find(key => AUTOMATION_BINDING_PATTERN.test(key)) || false;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * 检测 CDP 的 Runtime.enable 副作用:
+     * 启用 Runtime 域后，console 输出的对象会被序列化并发送给客户端，从而读取 Error 的 stack 属性。
+     * 自动化框架连接时总会启用该域；用户打开开发者工具时同样会命中，因此只与其他自动化信号一起计分。
+     * 探测会向控制台输出一个对象，因此结果在页面会话内缓存，只探测一次。
+     * @private
+     */
+    function _detectCdpRuntime() {
+        if (_cdpRuntimeResult !== null) {
+            return _cdpRuntimeResult;
+        }
+        _cdpRuntimeResult = _probeCdpRuntime();
+        return _cdpRuntimeResult;
+    }
+
+    /**
+     * 执行一次 CDP 探测
+     * @returns {boolean}
+     * @private
+     */
+    function _probeCdpRuntime() {
+        try {
+            let triggered = false;
+            const probe = new Error('HiveHydeCdpProbe');
+            Object.defineProperty(probe, 'stack', {
+                configurable: false,
+                enumerable: false,
+                get() {
+                    triggered = true;
+                    return '';
+                }
+            });
+            console.debug(probe);
+            return triggered;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * 检测 navigator.userAgent 与 navigator.userAgentData 是否一致 (伪造 UA 时常常只改了前者)
+     * @returns {string|false} - 不一致的项
+     * @private
+     */
+    function _detectUserAgentDataMismatch() {
+        try {
+            const ua = navigator.userAgent || '';
+            const uaData = navigator.userAgentData;
+            if (/HeadlessChrome/.test(ua)) {
+                return 'headless_user_agent';
+            }
+            const chromeMatch = ua.match(/Chrome\/(\d+)/);
+            if (!uaData) {
+                // 声称是新版 Chromium，却没有 userAgentData (仅安全上下文中提供)
+                if (chromeMatch && window.isSecureContext && Number(chromeMatch[1]) >= MIN_CHROME_WITH_UA_DATA) {
+                    return 'missing_ua_data';
+                }
+                return false;
+            }
+
+            const brands = Array.isArray(uaData.brands) ? uaData.brands : [];
+            if (brands.some(b => /Headless/i.test(b.brand))) {
+                return 'headless_brand';
+            }
+            const chromium = brands.find(b => b.brand === 'Chromium');
+            if (chromium && chromeMatch && chromium.version !== chromeMatch[1]) {
+                return 'version';
+            }
+            if (typeof uaData.mobile === 'boolean' && uaData.mobile !== /Mobi/.test(ua)) {
+                return 'mobile';
+            }
+            const platformPatterns = {
+                'Windows': /Windows/,
+                'macOS': /Macintosh|Mac OS X/,
+                'Linux': /Linux|X11/,
+                'Android': /Android/,
+                'Chrome OS': /CrOS/
+            };
+            const pattern = platformPatterns[uaData.platform];
+            if (pattern && !pattern.test(ua)) {
+                return 'platform';
+            }
+        } catch (e) {
+            return false;
+        }
+        return false;
+    }
+
+    /**
+     * 检测时区与语言环境是否自洽 (伪造语言或时区时常常只改了一处)
+     * @returns {string|false} - 不一致的项
+     * @private
+     */
+    function _detectLocaleMismatch() {
+        try {
+            if (typeof Intl === 'undefined' || typeof Intl.DateTimeFormat !== 'function') {
+                return false;
+            }
+            const resolved = Intl.DateTimeFormat().resolvedOptions();
+            const timeZone = resolved.timeZone;
+
+            // 1. Intl 的时区换算出的偏移与 Date 的偏移不一致
+            if (timeZone) {
+                const now = new Date();
+                now.setSeconds(0, 0);
+                const inZone = new Date(now.toLocaleString('en-US', { timeZone }));
+                const inUtc = new Date(now.toLocaleString('en-US', { timeZone: 'UTC' }));
+                const offset = Math.round((inUtc - inZone) / 60000);
+                if (offset !== now.getTimezoneOffset()) {
+                    return 'timezone_offset';
+                }
+            }
+
+            // 2. Intl 的默认语言与 navigator.languages 毫无交集
+            const primary = (tag) => String(tag || '').split('-')[0].toLowerCase();
+            const languages = (navigator.languages && navigator.languages.length) ? navigator.languages : [navigator.language];
+            if (resolved.locale && languages[0] && !languages.some(lang => primary(lang) === primary(resolved.locale))) {
+                return 'intl_language';
+            }
+
+            // 3. 声明了地区的语言却处于 UTC 时区: 数据中心主机的典型配置
+            const region = String(languages[0] || '').split('-')[1];
+            if (region && UTC_TIMEZONES.includes(timeZone)) {
+                return 'utc_timezone';
+            }
+        } catch (e) {
+            return false;
+        }
+        return false;
+    }
+
+    /**
+     * 读取一个 Realm 中的 WebGL 渲染器 (不支持时为 null)
+     * @private
+     */
+    function _readWebGLRenderer(doc) {
+        try {
+            const gl = doc.createElement('canvas').getContext('webgl');
+            const ext = gl && gl.getExtension('WEBGL_debug_renderer_info');
+            return ext ? gl.getParameter(UNMASKED_RENDERER_WEBGL) : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * 读取一个 window Realm (主窗口或 iframe) 的属性快照
+     * @private
+     */
+    function _snapshotWindowRealm(realm) {
+        const nav = realm.navigator;
+        return {
+            userAgent: nav.userAgent,
+            platform: nav.platform,
+            hardwareConcurrency: nav.hardwareConcurrency,
+            languages: nav.languages ? Array.prototype.join.call(nav.languages, ',') : undefined,
+            webdriver: nav.webdriver,
+            renderer: _readWebGLRenderer(realm.document)
+        };
+    }
+
+    /**
+     * 在专用 Worker 中读取属性快照，无法创建或超时时返回 null
+     * @private
+     */
+    function _snapshotWorkerRealm() {
+        if (typeof window.Worker !== 'function' || typeof window.Blob !== 'function' || !window.URL || typeof window.URL.createObjectURL !== 'function') {
+            return Promise.resolve(null);
+        }
+        return new Promise((resolve) => {
+            let worker = null;
+            let url = null;
+            let timer = null;
+            const finish = (snapshot) => {
+                clearTimeout(timer);
+                if (worker) worker.terminate();
+                if (url) window.URL.revokeObjectURL(url);
+                resolve(snapshot);
+            };
+            try {
+                url = window.URL.createObjectURL(new Blob([REALM_WORKER_SOURCE], { type: 'application/javascript' }));
+                worker = new window.Worker(url);
+                worker.onmessage = (event) => finish(event.data || null);
+                worker.onerror = () => finish(null);
+                timer = setTimeout(() => finish(null), REALM_TIMEOUT_MS);
+            } catch (e) {
+                finish(null);
+            }
+        });
+    }
+
+    /**
+     * 创建隐藏的沙箱同源 iframe (不允许脚本执行，由父页面直接读取)，回调结束后立即移除
+     * @private
+     */
+    function _withSandboxedFrame(callback) {
+        if (!document.body) {
+            return null;
+        }
+        const frame = document.createElement('iframe');
+        frame.setAttribute('sandbox', 'allow-same-origin');
+        frame.setAttribute('aria-hidden', 'true');
+        frame.tabIndex = -1;
+        frame.style.cssText = 'position:absolute;width:0;height:0;border:0;visibility:hidden;';
+        document.body.appendChild(frame);
+        try {
+            return frame.contentWindow ? callback(frame.contentWindow) : null;
+        } finally {
+            frame.remove();
+        }
+    }
+
+    /**
+     * 用干净 Realm 的 Function.prototype.toString 检查主窗口的 navigator getter 是否仍是原生函数。
+     * 主窗口的 toString 本身可能被修补成对任何函数都返回 [native code]，借用 iframe 的 toString 可以绕开。
+     * @returns {string|false} - 第一个被修补的属性名
+     * @private
+     */
+    function _detectPatchedGetters(cleanRealm) {
+        const cleanToString = cleanRealm.Function.prototype.toString;
+        const isNative = (fn) => {
+            try {
+                return cleanToString.call(fn).includes('[native code]');
+            } catch (e) {
+                return false; // Proxy 包装的函数会让跨 Realm 的 toString 抛错
+            }
+        };
+        if (!isNative(Function.prototype.toString)) {
+            return 'Function.prototype.toString';
+        }
+        const proto = Object.getPrototypeOf(navigator);
+        for (const name of NATIVE_GETTERS) {
+            if (Object.getOwnPropertyDescriptor(navigator, name)) {
+                return name; // 原生属性只存在于原型上，实例上的同名属性是后加的
+            }
+            const descriptor = Object.getOwnPropertyDescriptor(proto, name);
+            if (descriptor && descriptor.get && !isNative(descriptor.get)) {
+                return name;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * 对比主窗口与另一个 Realm 的快照，两边都有值的字段才参与对比
+     * @private
+     */
+    function _diffSnapshots(main, other, fields) {
+        return fields.filter(field => other[field] !== undefined && other[field] !== null
+            && main[field] !== undefined && main[field] !== null && other[field] !== main[field]);
+    }
+
     // --- 公共接口 ---
 
+    /**
+     * 跨 Realm 一致性检查。结果在页面会话内不变，由 DataLoom 作为静态采集器 (cross_realm) 缓存。
+     * @returns {Promise<object>} - 每项为 false 或命中的 "realm.字段"；realms 记录各 Realm 是否可用
+     * @public
+     */
+    async function scanRealms() {
+        const main = _snapshotWindowRealm(window);
+        const result = {
+            navigator: false,
+            webdriver: false,
+            webgl: false,
+            native_functions: false,
+            mismatches: [],
+            realms: { worker: 'unavailable', iframe: 'unavailable' }
+        };
+        const record = (realmName, fields) => {
+            for (const field of fields) {
+                const name = `${realmName}.${field}`;
+                result.mismatches.push(name);
+                if (REALM_NAVIGATOR_FIELDS.includes(field)) {
+                    result.navigator = result.navigator || name;
+                } else if (field === 'webdriver') {
+                    result.webdriver = result.webdriver || name;
+                } else if (field === 'renderer') {
+                    result.webgl = result.webgl || name;
+                }
+            }
+        };
+
+        try {
+            _withSandboxedFrame((frameWindow) => {
+                result.realms.iframe = 'ok';
+                record('iframe', _diffSnapshots(main, _snapshotWindowRealm(frameWindow), REALM_NAVIGATOR_FIELDS.concat(['webdriver', 'renderer'])));
+                const patched = _detectPatchedGetters(frameWindow);
+                if (patched) {
+                    result.native_functions = patched;
+                    result.mismatches.push(`native.${patched}`);
+                }
+            });
+        } catch (e) {
+            result.realms.iframe = 'error';
+        }
+
+        const workerSnapshot = await _snapshotWorkerRealm();
+        if (workerSnapshot) {
+            result.realms.worker = 'ok';
+            // WorkerNavigator 在部分浏览器中没有 webdriver，缺失的字段不参与对比
+            record('worker', _diffSnapshots(main, workerSnapshot, REALM_NAVIGATOR_FIELDS.concat(['webdriver', 'renderer'])));
+        }
+        return result;
+    }
+
     /**
      * 执行所有异常扫描任务
      * @returns {Promise<object>} - 包含所有扫描结果的对象
@@ -133,6 +506,11 @@
             headless_chrome: _detectHeadlessChrome(), 
             tostring_tampered: _detectToStringTampering(),
             stack_anomaly: _detectStackAnomaly(),
+            selenium_artifacts: _detectSeleniumArtifacts(),
+            automation_bindings: _detectAutomationBindings(),
+            cdp_runtime: _detectCdpRuntime(),
+            ua_data_mismatch: _detectUserAgentDataMismatch(),
+            locale_mismatch: _detectLocaleMismatch(),
             permissions_denied: false 
         };
 
@@ -148,7 +526,8 @@
 
     // --- 暴露接口 ---
     HiveHyde.AnomalyScan = {
-        run
+        run,
+        scanRealms
     };
 
 })(window);
\ No newline at end of file
@@ -5,6 +5,11 @@
  * 1. 作为安全系统与应用HTTP请求库（如axios）之间的桥梁。
  * 2. 提供一个请求拦截器函数，自动为需要保护的API请求添加签名和安全头。
  * 3. 封装与core_engine的交互，简化集成过程。
+ * 4. 可选地包装原生 fetch 与 XMLHttpRequest，按次开启保护。
+ * 5. 识别后端返回的签名/会话错误码，强制续期会话后重新签名并重试一次。
+ * 6. 按路由可选地校验后端的响应签名 (X-Hive-Response-Signature)，拒绝被篡改的响应。
+ * 7. 加载 challenge_gate.js 时: 风险分达到策略阈值的请求先完成人机验证再发送；
+ *    后端返回 40302 (需要完成人机验证) 时完成验证后重新签名并重试一次。
  *
  * @version 1.0
  */
@@ -13,11 +18,312 @@
 
     const HiveHyde = window.HiveHyde || (window.HiveHyde = {});
 
+    // --- 配置常量 ---
+    // 默认触发会话恢复的后端错误码: 签名无效 / 会话令牌无效 / 指纹解密失败
+    const DEFAULT_SESSION_ERROR_CODES = [40101, 40104, 40105];
+    const RESPONSE_SIGNATURE_HEADER = 'X-Hive-Response-Signature';
+    const CHALLENGE_REQUIRED_CODE = 40302;
+
+    /**
+     * HiveHyde 对外抛出的类型化错误
+     * @property {string} type - 'session_refresh_failed' (续期失败) | 'retry_rejected' (续期重试后仍被拒绝)
+     *                          | 'response_signature_invalid' (响应签名缺失或不匹配)
+     *                          | 'challenge_cancelled' (用户取消人机验证) | 'challenge_failed' (验证未通过，或通过后仍被要求验证)
+     * @property {number|null} serverCode - 后端返回的业务错误码
+     * @property {number|null} status - HTTP 状态码
+     * @property {*} response - 原始响应对象 (axios response 或 fetch Response)
+     * @property {Error|null} cause - 底层错误
+     */
+    class HiveHydeError extends Error {
+        constructor(message, details) {
+            super(message);
+            this.name = 'HiveHydeError';
+            this.type = details.type;
+            this.serverCode = details.serverCode !== undefined ? details.serverCode : null;
+            this.status = details.status !== undefined ? details.status : null;
+            this.response = details.response || null;
+            this.cause = details.cause || null;
+        }
+    }
+
     // --- 内部状态 ---
     let isInterceptorAttached = false;
+    let axiosOptions = {};     // attachTo 的配置 (会话错误码)
+    let nativeFetch = null;    // 被包装前的原生 fetch
+    let fetchOptions = {};     // wrapFetch 的配置 (match 规则、会话错误码)
+    let xhrOptions = {};       // wrapXHR 的配置 (match 规则)
+    let isXHRWrapped = false;
 
     // --- 核心功能 ---
 
+    /**
+     * 根据 baseURL 与请求URL计算参与签名的纯路径 (不带域名和参数)。
+     * axios、fetch、XHR 三条路径共用此逻辑，保证与后端拼接规则一致。
+     * @param {string} baseURL - 基地址，可为空
+     * @param {string} requestURL - 请求URL，可为相对路径或绝对地址
+     * @returns {string}
+     * @private
+     */
+    function _resolveRealPath(baseURL, requestURL) {
+        // 绝对地址 (fetch/XHR 常见) 直接取 pathname
+        if (/^[a-z][a-z\d+\-.]*:\/\//i.test(requestURL)) {
+            return new URL(requestURL).pathname;
+        }
+
+        // 构造完整的URL，然后提取其路径部分。
+        // 这种方法比字符串拼接更健壮，能处理各种baseURL和requestURL的组合。
+        // 例如 baseURL='http://a.com/api', url='v1/users' -> http://a.com/api/v1/users
+        // 例如 baseURL='http://a.com/api', url='/v1/users' -> http://a.com/v1/users (URL构造函数的标准行为)
+        // 为了统一行为，我们自己拼接。
+        const finalBase = baseURL.endsWith('/') ? baseURL.slice(0, -1) : baseURL;
+        const finalRequest = requestURL.startsWith('/') ? requestURL : '/' + requestURL;
+
+        // 拼接后再通过URL对象获取pathname，可以避免域名和端口的影响
+        const tempFullPath = 'http://dummybase.com' + finalRequest; // 假设请求的是相对路径
+        let realUrlPath = new URL(tempFullPath).pathname;
+
+        if (finalBase) {
+            // 如果有baseURL, 拼接baseURL的路径部分
+            const basePath = new URL(finalBase).pathname.replace(/\/$/, '');
+            realUrlPath = basePath + finalRequest;
+        }
+        return realUrlPath;
+    }
+
+    /**
+     * 调用核心引擎生成签名，并返回需要注入的安全请求头。
+     * @param {string} realUrlPath - 参与签名的纯路径
+     * @param {object} params - GET的params或POST的body
+     * @param {string} method - HTTP请求方法
+     * @returns {Promise<{headers: object, verifyResponse: function}>} - 请求头键值对，以及绑定本次请求的响应签名校验函数
+     * @private
+     */
+    async function _signRequest(realUrlPath, params, method) {
+        let signaturePackage = await _processRequest(realUrlPath, params, method);
+
+        const gate = HiveHyde.ChallengeGate;
+        if (signaturePackage.riskExceeded && gate && !gate.hasValidPass()) {
+            await _passChallenge({ serverCode: null, status: null, response: null, token: signaturePackage.token });
+            // 作答可能耗时较长，重新签名以免时间戳超出后端的时间窗口
+            signaturePackage = await _processRequest(realUrlPath, params, method);
+        }
+
+        const headers = {
+            'X-Hive-Timestamp': signaturePackage.timestamp,
+            'X-Hive-Nonce': signaturePackage.nonce,
+            'X-Hive-Signature': signaturePackage.signature,
+            'X-Hive-Token': signaturePackage.token,
+            'X-Hive-RiskScore': signaturePackage.riskScore,
+            'X-Hive-Fingerprint-Json': signaturePackage.fingerprintJsonForSign,
+            'X-Hive-Version': signaturePackage.version,
+            ...(gate ? gate.getPassHeaders() : {})
+        };
+        return { headers, verifyResponse: signaturePackage.verifyResponse };
+    }
+
+    async function _processRequest(realUrlPath, params, method) {
+        const signaturePackage = await HiveHyde.processRequest(realUrlPath, params || {}, method);
+        if (signaturePackage.error) {
+            throw new Error(`Signature generation failed: ${signaturePackage.message || signaturePackage.error}`);
+        }
+        return signaturePackage;
+    }
+
+    /**
+     * 路由是否要求校验响应签名: protect: { verifyResponse: true }
+     * @private
+     */
+    function _wantsResponseVerification(protect) {
+        return !!protect && typeof protect === 'object' && protect.verifyResponse === true;
+    }
+
+    /**
+     * 将响应体统一转换为字节数组，无法识别的类型返回 null
+     * @private
+     */
+    async function _toResponseBytes(data) {
+        if (data === undefined || data === null) {
+            return new Uint8Array(0);
+        }
+        if (typeof data === 'string') {
+            return HiveHyde.CipherForge.utf8Encode(data);
+        }
+        if (data instanceof ArrayBuffer) {
+            return new Uint8Array(data);
+        }
+        if (ArrayBuffer.isView(data)) {
+            return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+        }
+        if (typeof Blob !== 'undefined' && data instanceof Blob) {
+            return new Uint8Array(await data.arrayBuffer());
+        }
+        return null;
+    }
+
+    /**
+     * 校验响应签名，缺失或不匹配时抛出 HiveHydeError
+     * @private
+     */
+    async function _assertResponseSignature(verifyResponse, status, bodyBytes, signature, response) {
+        const isValid = !!bodyBytes && await verifyResponse(status, bodyBytes, signature);
+        if (!isValid) {
+            console.error(`[HiveHyde] Sentinel: Response signature ${signature ? 'mismatch' : 'missing'} (status ${status}). Rejecting response.`);
+            throw new HiveHydeError(`Response signature ${signature ? 'mismatch' : 'missing'}.`, { type: 'response_signature_invalid', status, response });
+        }
+    }
+
+    /**
+     * 从原生请求的URL与Body中提取与axios拦截器相同形态的签名参数。
+     * GET 取 Query 参数对象，其余方法原样交给 RiskMatrix 的请求体规范化层。
+     * @private
+     */
+    function _extractNativeParams(absoluteUrl, method, body) {
+        if (method.toLowerCase() === 'get') {
+            const params = {};
+            new URL(absoluteUrl).searchParams.forEach((value, key) => { params[key] = value; });
+            return params;
+        }
+        return body;
+    }
+
+    /**
+     * 判断响应数据是否为需要恢复会话的 HiveHyde 错误
+     * @private
+     */
+    function _isSessionError(data, codes) {
+        return !!data && typeof data === 'object' && (codes || DEFAULT_SESSION_ERROR_CODES).includes(data.code);
+    }
+
+    /**
+     * 强制续期会话后执行重试。续期失败时抛出 HiveHydeError。
+     * @param {object} failure - { serverCode, status, response, token }
+     * @param {function} retry - 重新签名并发送请求的函数
+     * @private
+     */
+    async function _recoverSession(failure, retry) {
+        console.warn(`[HiveHyde] Sentinel: Server rejected the session (code ${failure.serverCode}). Refreshing and retrying once...`);
+        try {
+            await HiveHyde.SessionVault.forceRefresh(failure.token);
+        } catch (error) {
+            throw new HiveHydeError(`Session refresh failed: ${error.message}`, { type: 'session_refresh_failed', ...failure, cause: error });
+        }
+        return retry();
+    }
+
+    function _retryRejectedError(failure) {
+        return new HiveHydeError(`Request rejected again after session refresh (code ${failure.serverCode}).`, { type: 'retry_rejected', ...failure });
+    }
+
+    function _isChallengeRequired(data) {
+        return !!data && typeof data === 'object' && data.code === CHALLENGE_REQUIRED_CODE;
+    }
+
+    /**
+     * 完成人机验证 (需加载 challenge_gate.js)。取消或未通过时抛出 HiveHydeError。
+     * @param {object} failure - { serverCode, status, response, token }，本地阈值触发时前三项为 null
+     * @private
+     */
+    async function _passChallenge(failure) {
+        const gate = HiveHyde.ChallengeGate;
+        if (!gate) {
+            throw new HiveHydeError('Server requires a challenge but challenge_gate.js is not loaded.', { type: 'challenge_failed', ...failure });
+        }
+        console.warn('[HiveHyde] Sentinel: Request requires a verification challenge.');
+        try {
+            await gate.run();
+        } catch (error) {
+            const type = error.reason === 'cancelled' ? 'challenge_cancelled' : 'challenge_failed';
+            throw new HiveHydeError(error.message, { type, ...failure, cause: error });
+        }
+    }
+
+    function _challengeRejectedError(failure) {
+        return new HiveHydeError('Request still requires a challenge after passing one.', { type: 'challenge_failed', ...failure });
+    }
+
+    /**
+     * Axios响应拦截器: 成功与失败两条路径都可能携带会话错误码 (部分后端以HTTP 200返回业务错误)
+     * @private
+     */
+    function _handleAxiosResponse(response, error) {
+        const config = response.config || (error && error.config) || {};
+        if (config.protect && _isChallengeRequired(response.data)) {
+            return _handleAxiosChallenge(response, error, config);
+        }
+        if (!config.protect || !_isSessionError(response.data, axiosOptions.sessionErrorCodes)) {
+            if (!config._hiveVerifyResponse) {
+                return error ? Promise.reject(error) : response;
+            }
+            return _verifyAxiosResponse(response, config).then(() => (error ? Promise.reject(error) : response));
+        }
+
+        const headers = config.headers || {};
+        const failure = {
+            serverCode: response.data.code,
+            status: response.status,
+            response,
+            token: typeof headers.get === 'function' ? headers.get('X-Hive-Token') : headers['X-Hive-Token'],
+            cause: error || null
+        };
+        if (config._hiveRetried) {
+            return Promise.reject(_retryRejectedError(failure));
+        }
+
+        config._hiveRetried = true;
+        // 重新经过请求拦截器，使用续期后的密钥重新签名
+        return _recoverSession(failure, () => HiveHyde.axiosInstance.request(config));
+    }
+
+    /**
+     * 后端要求人机验证: 完成验证后重新经过请求拦截器签名并重试一次
+     * @private
+     */
+    function _handleAxiosChallenge(response, error, config) {
+        const headers = config.headers || {};
+        const failure = {
+            serverCode: response.data.code,
+            status: response.status,
+            response,
+            token: typeof headers.get === 'function' ? headers.get('X-Hive-Token') : headers['X-Hive-Token'],
+            cause: error || null
+        };
+        if (config._hiveChallenged) {
+            return Promise.reject(_challengeRejectedError(failure));
+        }
+        config._hiveChallenged = true;
+        return _passChallenge(failure).then(() => HiveHyde.axiosInstance.request(config));
+    }
+
+    /**
+     * 校验 axios 响应签名。axios 的 response.data 已被解析，
+     * 因此使用请求拦截器中捕获的原始响应体 (config._hiveRawBody) 计算摘要。
+     * @private
+     */
+    async function _verifyAxiosResponse(response, config) {
+        const headers = response.headers || {};
+        const signature = typeof headers.get === 'function'
+            ? headers.get(RESPONSE_SIGNATURE_HEADER)
+            : headers[RESPONSE_SIGNATURE_HEADER.toLowerCase()];
+        const bodyBytes = await _toResponseBytes(config._hiveRawBody);
+        await _assertResponseSignature(config._hiveVerifyResponse, response.status, bodyBytes, signature, response);
+    }
+
+    /**
+     * 在 axios 的响应转换器最前面插入一个转换器，捕获未经解析的原始响应体
+     * @private
+     */
+    function _captureRawResponse(config) {
+        if (config._hiveRawCapture) {
+            return;
+        }
+        const transformers = config.transformResponse === undefined ? [] : [].concat(config.transformResponse);
+        config._hiveRawCapture = true;
+        config.transformResponse = [function(data) {
+            config._hiveRawBody = data;
+            return data;
+        }].concat(transformers);
+    }
+
     /**
      * Axios请求拦截器的核心逻辑。
      * @param {object} config - Axios的请求配置对象
@@ -32,51 +338,24 @@
         console.log(`[HiveHyde] Sentinel: Protecting request to ${config.url}`);
 
         try {
-            // --- ✨【核心修复】调整 realUrlPath 的获取逻辑 ---
-
-            // 1. 获取axios配置的baseURL。如果不存在，则为空字符串。
-            const baseURL = config.baseURL || '';
-            // 2. 获取请求的相对URL。
-            const requestURL = config.url || '';
-
-            // 3. 构造完整的URL，然后提取其路径部分。
-            // 这种方法比字符串拼接更健壮，能处理各种baseURL和requestURL的组合。
-            // 例如 baseURL='http://a.com/api', url='v1/users' -> http://a.com/api/v1/users
-            // 例如 baseURL='http://a.com/api', url='/v1/users' -> http://a.com/v1/users (URL构造函数的标准行为)
-            // 为了统一行为，我们自己拼接。
-            
-            const finalBase = baseURL.endsWith('/') ? baseURL.slice(0, -1) : baseURL;
-            const finalRequest = requestURL.startsWith('/') ? requestURL : '/' + requestURL;
-            
-            // 拼接后再通过URL对象获取pathname，可以避免域名和端口的影响
-            const tempFullPath = 'http://dummybase.com' + finalRequest; // 假设请求的是相对路径
-            let realUrlPath = new URL(tempFullPath).pathname;
-
-            if (finalBase) {
-                // 如果有baseURL, 拼接baseURL的路径部分
-                const basePath = new URL(finalBase).pathname.replace(/\/$/, '');
-                realUrlPath = basePath + finalRequest;
-            }
-
+            const realUrlPath = _resolveRealPath(config.baseURL || '', config.url || '');
 
             const method = config.method || 'get';
             const params = (method.toLowerCase() === 'get') ? config.params : config.data;
 
             // 调用核心引擎时，传入修正后的 realUrlPath
-            const signaturePackage = await HiveHyde.processRequest(realUrlPath, params || {}, method);
-
-            if (signaturePackage.error) {
-                throw new Error(`Signature generation failed: ${signaturePackage.message || signaturePackage.error}`);
-            }
+            const { headers: securityHeaders, verifyResponse } = await _signRequest(realUrlPath, params, method);
 
             // --- 将安全信息注入到请求头 ---
             config.headers = config.headers || {};
-            config.headers['X-Hive-Timestamp'] = signaturePackage.timestamp;
-            config.headers['X-Hive-Nonce'] = signaturePackage.nonce;
-            config.headers['X-Hive-Signature'] = signaturePackage.signature;
-            config.headers['X-Hive-Token'] = signaturePackage.token;
-            config.headers['X-Hive-RiskScore'] = signaturePackage.riskScore;
-            config.headers['X-Hive-Fingerprint-Json'] = signaturePackage.fingerprintJsonForSign;
+            for (const name in securityHeaders) {
+                config.headers[name] = securityHeaders[name];
+            }
+
+            if (_wantsResponseVerification(config.protect)) {
+                config._hiveVerifyResponse = verifyResponse;
+                _captureRawResponse(config);
+            }
 
             console.log('[HiveHyde] Sentinel: Headers attached successfully.');
 
@@ -94,15 +373,195 @@
             return Promise.reject(error);
         }
     }
+
+    /**
+     * 为一次 fetch 请求签名并发送
+     * @private
+     */
+    async function _sendSignedFetch(input, requestInit, method, absoluteUrl) {
+        const isRequest = typeof Request !== 'undefined' && input instanceof Request;
+        let body = requestInit.body;
+        if (body === undefined && isRequest && method !== 'GET' && method !== 'HEAD') {
+            body = await input.clone().arrayBuffer();
+        }
+
+        const realUrlPath = _resolveRealPath('', absoluteUrl);
+        const params = _extractNativeParams(absoluteUrl, method, body);
+        const { headers: securityHeaders, verifyResponse } = await _signRequest(realUrlPath, params, method);
+
+        const headers = new Headers(requestInit.headers || (isRequest ? input.headers : undefined));
+        for (const name in securityHeaders) {
+            headers.set(name, securityHeaders[name]);
+        }
+
+        console.log('[HiveHyde] Sentinel: Headers attached successfully.');
+        const response = await nativeFetch(input, { ...requestInit, headers });
+        return { response, token: securityHeaders['X-Hive-Token'], verifyResponse };
+    }
+
+    /**
+     * 读取 fetch 响应中的会话错误或验证要求 (仅检查 JSON 响应，读取副本不影响调用方)
+     * @private
+     */
+    async function _readFetchSessionError(response) {
+        const data = await _readFetchJson(response);
+        return _isSessionError(data, fetchOptions.sessionErrorCodes) ? data : null;
+    }
+
+    async function _readFetchChallenge(response) {
+        const data = await _readFetchJson(response);
+        return _isChallengeRequired(data) ? data : null;
+    }
+
+    async function _readFetchJson(response) {
+        const contentType = (response.headers && response.headers.get('content-type')) || '';
+        if (!contentType.includes('json')) {
+            return null;
+        }
+        try {
+            return await response.clone().json();
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * 受保护的 fetch 实现。
+     * 通过 init.protect (或 wrapFetch 的 match 规则) 按次开启保护。
+     * @private
+     */
+    async function _protectedFetch(input, init) {
+        const isRequest = typeof Request !== 'undefined' && input instanceof Request;
+        const requestInit = { ...(init || {}) };
+        const protect = requestInit.protect;
+        delete requestInit.protect;
+
+        const url = isRequest ? input.url : String(input);
+        const method = (requestInit.method || (isRequest ? input.method : 'GET')).toUpperCase();
+        const absoluteUrl = new URL(url, window.location.href).href;
+
+        if (!(protect || (fetchOptions.match && fetchOptions.match(absoluteUrl, method)))) {
+            return nativeFetch(input, init);
+        }
+
+        console.log(`[HiveHyde] Sentinel: Protecting fetch to ${url}`);
+
+        // Request 的 Body 只能读取一次，预留副本用于会话恢复或人机验证后的重试
+        const retryInput = isRequest ? input.clone() : input;
+        const challengeInput = isRequest ? input.clone() : input;
+        let sent;
+        try {
+            sent = await _sendSignedFetch(input, requestInit, method, absoluteUrl);
+        } catch (error) {
+            console.error('[HiveHyde] Sentinel: Failed to sign fetch request. Aborting.', error.message);
+            throw error;
+        }
+
+        const sessionError = await _readFetchSessionError(sent.response);
+        if (sessionError) {
+            const failure = { serverCode: sessionError.code, status: sent.response.status, response: sent.response, token: sent.token };
+            sent = await _recoverSession(failure, () => _sendSignedFetch(retryInput, requestInit, method, absoluteUrl));
+            const retryError = await _readFetchSessionError(sent.response);
+            if (retryError) {
+                throw _retryRejectedError({ serverCode: retryError.code, status: sent.response.status, response: sent.response, token: sent.token });
+            }
+        }
+
+        const challengeRequired = await _readFetchChallenge(sent.response);
+        if (challengeRequired) {
+            await _passChallenge({ serverCode: challengeRequired.code, status: sent.response.status, response: sent.response, token: sent.token });
+            sent = await _sendSignedFetch(challengeInput, requestInit, method, absoluteUrl);
+            const stillRequired = await _readFetchChallenge(sent.response);
+            if (stillRequired) {
+                throw _challengeRejectedError({ serverCode: stillRequired.code, status: sent.response.status, response: sent.response, token: sent.token });
+            }
+        }
+
+        if (_wantsResponseVerification(protect)) {
+            const response = sent.response;
+            const bodyBytes = new Uint8Array(await response.clone().arrayBuffer());
+            await _assertResponseSignature(sent.verifyResponse, response.status, bodyBytes, response.headers.get(RESPONSE_SIGNATURE_HEADER), response);
+        }
+        return sent.response;
+    }
+
+    /**
+     * 向完整性监控登记 HiveHyde 自己对全局函数的替换 (需加载 integrity_monitor.js)
+     * @private
+     */
+    function _adoptGlobal(name, value, previous) {
+        if (HiveHyde.IntegrityMonitor) {
+            HiveHyde.IntegrityMonitor.adopt(name, value, previous);
+        }
+    }
+
+    /**
+     * 为 XMLHttpRequest 原型打补丁。
+     * 通过 xhr.protect = true (或 wrapXHR 的 match 规则) 按次开启保护。
+     * @private
+     */
+    function _patchXHR(XHR) {
+        const nativeOpen = XHR.prototype.open;
+        const nativeSend = XHR.prototype.send;
+
+        XHR.prototype.open = function(method, url, async) {
+            this._hiveRequest = {
+                method: String(method || 'GET').toUpperCase(),
+                url: new URL(String(url), window.location.href).href,
+                async: async !== false
+            };
+            return nativeOpen.apply(this, arguments);
+        };
+
+        XHR.prototype.send = function(body) {
+            const request = this._hiveRequest;
+            const shouldProtect = request && (this.protect || (xhrOptions.match && xhrOptions.match(request.url, request.method)));
+            if (!shouldProtect) {
+                return nativeSend.apply(this, arguments);
+            }
+            if (!request.async) {
+                // 签名是异步流程，无法用于同步XHR
+                console.error('[HiveHyde] Sentinel: Synchronous XHR cannot be protected. Sending without signature.');
+                return nativeSend.apply(this, arguments);
+            }
+
+            console.log(`[HiveHyde] Sentinel: Protecting XHR to ${request.url}`);
+            if (_wantsResponseVerification(this.protect)) {
+                console.warn('[HiveHyde] Sentinel: Response signature verification is not supported for XHR. Use axios or fetch instead.');
+            }
+
+            const xhr = this;
+            const realUrlPath = _resolveRealPath('', request.url);
+            const params = _extractNativeParams(request.url, request.method, body);
+
+            _signRequest(realUrlPath, params, request.method).then(({ headers: securityHeaders }) => {
+                for (const name in securityHeaders) {
+                    xhr.setRequestHeader(name, securityHeaders[name]);
+                }
+                console.log('[HiveHyde] Sentinel: Headers attached successfully.');
+                nativeSend.call(xhr, body);
+            }).catch((error) => {
+                console.error('[HiveHyde] Sentinel: Failed to sign XHR request. Aborting.', error.message);
+                xhr.abort();
+            });
+        };
+
+        // 构造函数本身不替换，登记后可以发现包装之前就已被替换的情况
+        _adoptGlobal('window.XMLHttpRequest', XHR, XHR);
+        _adoptGlobal('XMLHttpRequest.prototype.open', XHR.prototype.open, nativeOpen);
+        _adoptGlobal('XMLHttpRequest.prototype.send', XHR.prototype.send, nativeSend);
+    }
     
     // --- 公共接口 ---
 
     /**
      * 将HiveHyde的安全拦截器附加到指定的axios实例上。
      * @param {object} axiosInstance - 要附加拦截器的axios实例
+     * @param {object} [options]
+     * @param {number[]} [options.sessionErrorCodes] - 触发会话恢复的后端错误码，默认 [40101, 40104, 40105]
      * @public
      */
-    function attachTo(axiosInstance) {
+    function attachTo(axiosInstance, options) {
         if (!axiosInstance || !axiosInstance.interceptors) {
             console.error('[HiveHyde] Sentinel: Invalid axios instance provided.');
             return;
@@ -114,18 +573,73 @@
         }
 
         HiveHyde.axiosInstance = axiosInstance;
+        axiosOptions = options || {};
         
         axiosInstance.interceptors.request.use(_requestInterceptor, (error) => {
             return Promise.reject(error);
         });
+        axiosInstance.interceptors.response.use(
+            (response) => _handleAxiosResponse(response, null),
+            (error) => (error && error.response) ? _handleAxiosResponse(error.response, error) : Promise.reject(error)
+        );
         
         isInterceptorAttached = true;
         console.log('[HiveHyde] Sentinel: Interceptor attached to axios instance successfully.');
     }
 
+    /**
+     * 包装 window.fetch，使其在 init.protect 为 true 时自动签名。
+     * @param {object} [options]
+     * @param {function} [options.match] - (absoluteUrl, method) => boolean，无法修改调用方代码时按URL开启保护
+     * @param {number[]} [options.sessionErrorCodes] - 触发会话恢复的后端错误码，默认 [40101, 40104, 40105]
+     * @public
+     */
+    function wrapFetch(options) {
+        if (typeof window.fetch !== 'function') {
+            console.error('[HiveHyde] Sentinel: fetch is not available in this environment.');
+            return;
+        }
+        if (nativeFetch) {
+            console.warn('[HiveHyde] Sentinel: fetch already wrapped.');
+            return;
+        }
+
+        fetchOptions = options || {};
+        const originalFetch = window.fetch;
+        nativeFetch = originalFetch.bind(window);
+        window.fetch = _protectedFetch;
+        _adoptGlobal('window.fetch', _protectedFetch, originalFetch);
+        console.log('[HiveHyde] Sentinel: window.fetch wrapped successfully.');
+    }
+
+    /**
+     * 包装 XMLHttpRequest，使其在 xhr.protect 为 true 时自动签名。
+     * @param {object} [options]
+     * @param {function} [options.match] - (absoluteUrl, method) => boolean，适用于基于XHR的第三方组件
+     * @public
+     */
+    function wrapXHR(options) {
+        if (typeof window.XMLHttpRequest !== 'function') {
+            console.error('[HiveHyde] Sentinel: XMLHttpRequest is not available in this environment.');
+            return;
+        }
+        if (isXHRWrapped) {
+            console.warn('[HiveHyde] Sentinel: XMLHttpRequest already wrapped.');
+            return;
+        }
+
+        xhrOptions = options || {};
+        _patchXHR(window.XMLHttpRequest);
+        isXHRWrapped = true;
+        console.log('[HiveHyde] Sentinel: XMLHttpRequest wrapped successfully.');
+    }
+
     // --- 暴露接口 ---
+    HiveHyde.HiveHydeError = HiveHydeError;
     HiveHyde.ApiSentinel = {
-        attachTo
+        attachTo,
+        wrapFetch,
+        wrapXHR
     };
 
 })(window);
\ No newline at end of file
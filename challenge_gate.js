@@ -0,0 +1,364 @@
+/**
+ * HiveHyde Anti-Crawler System - Challenge Gate
+ *
+ * 功能:
+ * 1. 风险分达到策略阈值 (riskThreshold) 或后端返回 40302 时，弹出内置的滑块人机验证。
+ * 2. 滑块支持指针拖动与键盘操作 (方向键、PageUp/PageDown、Home/End，Enter 提交，Esc 取消)，
+ *    具备 role="dialog" / role="slider" 语义、焦点限制与焦点恢复，读屏用户同样可以完成验证。
+ * 3. 记录作答过程的位置-时间轨迹 (忽略脚本派发的事件)，随答案提交给后端 `/warden/challenge` 校验。
+ * 4. 保存后端签发的通行证 (绑定当前会话令牌)，由 ApiSentinel 附加到 X-Hive-Challenge-Pass 请求头。
+ *
+ * 并发触发的验证共享同一个弹窗；没有 document 的环境中验证直接失败。
+ *
+ * @version 1.0
+ */
+(function(window) {
+    'use strict';
+
+    const HiveHyde = window.HiveHyde || (window.HiveHyde = {});
+
+    // --- 配置常量 ---
+    const API_CHALLENGE_ENDPOINT = '/warden/challenge';
+    const PASS_HEADER = 'X-Hive-Challenge-Pass';
+    const CHALLENGE_FAILED_CODE = 40303;
+    const MAX_ATTEMPTS = 3;          // 作答错误时最多重新出题的次数
+    const KEY_STEP = 0.01;           // 方向键每次移动 1%
+    const PAGE_STEP = 0.1;           // PageUp/PageDown 每次移动 10%
+    const SAMPLE_INTERVAL_MS = 16;   // 拖动轨迹的采样间隔
+    const MAX_SAMPLES = 400;         // 后端最多接受 500 个采样点
+
+    const STYLES = {
+        overlay: 'position:fixed;inset:0;z-index:2147483647;display:flex;align-items:center;justify-content:center;background:rgba(0,0,0,0.45);',
+        dialog: 'width:320px;max-width:90vw;padding:20px;border-radius:8px;background:#fff;color:#222;font:14px/1.5 sans-serif;box-shadow:0 8px 24px rgba(0,0,0,0.3);',
+        title: 'margin:0 0 8px;font-size:16px;',
+        track: 'position:relative;height:40px;margin:16px 0 8px;border-radius:20px;background:#e8e8e8;touch-action:none;cursor:pointer;',
+        target: 'position:absolute;top:4px;bottom:4px;width:4px;margin-left:-2px;border-radius:2px;background:#2e7d32;',
+        handle: 'position:absolute;top:0;width:40px;height:40px;margin-left:-20px;border-radius:50%;background:#1565c0;box-shadow:0 1px 4px rgba(0,0,0,0.4);outline-offset:3px;',
+        status: 'min-height:21px;margin:0 0 8px;color:#c62828;',
+        buttons: 'display:flex;justify-content:flex-end;gap:8px;'
+    };
+
+    // --- 内部状态 ---
+    let currentPass = null;       // { value, sessionToken, expiresAt }
+    let pendingChallenge = null;  // 进行中的验证，并发请求共享
+
+    // --- 私有工具函数 ---
+
+    /**
+     * 创建带 reason 的验证错误: 'cancelled' (用户取消) | 'failed' (未通过或无法完成)
+     * @private
+     */
+    function _challengeError(message, reason, cause) {
+        const error = new Error(message);
+        error.reason = reason;
+        error.cause = cause || null;
+        return error;
+    }
+
+    function _clamp(position) {
+        return Math.min(Math.max(position, 0), 1);
+    }
+
+    function _round(value) {
+        return Math.round(value * 10000) / 10000;
+    }
+
+    /**
+     * 调用 /warden/challenge 并解析响应，业务错误码写入 error.code
+     * @private
+     */
+    async function _postChallenge(payload) {
+        if (!HiveHyde.config || !HiveHyde.config.apiBaseUrl) {
+            throw new Error('apiBaseUrl configuration is missing. Cannot request a challenge.');
+        }
+        const response = await fetch(`${HiveHyde.config.apiBaseUrl}${API_CHALLENGE_ENDPOINT}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(payload)
+        });
+
+        let result = null;
+        try {
+            result = await response.json();
+        } catch (e) {
+            // 非 JSON 响应按状态码报错
+        }
+        if (!result || result.code !== 0) {
+            const error = new Error(result && result.msg ? result.msg : `Challenge request failed with status: ${response.status}`);
+            error.code = result ? result.code : null;
+            throw error;
+        }
+        return result.data;
+    }
+
+    function _createElement(tag, style, attributes) {
+        const element = document.createElement(tag);
+        if (style) {
+            element.style.cssText = style;
+        }
+        for (const name in attributes || {}) {
+            element.setAttribute(name, attributes[name]);
+        }
+        return element;
+    }
+
+    /**
+     * 构建验证弹窗。同一次验证的多次作答复用同一个弹窗。
+     * @returns {{ask: function, close: function}}
+     *          ask(challenge, message) => Promise<{position, trace}|null>，用户取消时为 null
+     * @private
+     */
+    function _openDialog() {
+        const previousFocus = document.activeElement;
+
+        const overlay = _createElement('div', STYLES.overlay);
+        const dialog = _createElement('div', STYLES.dialog, {
+            role: 'dialog',
+            'aria-modal': 'true',
+            'aria-labelledby': 'hivehyde-challenge-title',
+            'aria-describedby': 'hivehyde-challenge-desc'
+        });
+        const title = _createElement('h2', STYLES.title, { id: 'hivehyde-challenge-title' });
+        title.textContent = '安全验证';
+        const description = _createElement('p', 'margin:0;', { id: 'hivehyde-challenge-desc' });
+        const track = _createElement('div', STYLES.track);
+        const target = _createElement('div', STYLES.target, { 'aria-hidden': 'true' });
+        const handle = _createElement('div', STYLES.handle, {
+            role: 'slider',
+            tabindex: '0',
+            'aria-label': '验证滑块',
+            'aria-valuemin': '0',
+            'aria-valuemax': '100'
+        });
+        const status = _createElement('p', STYLES.status, { role: 'status', 'aria-live': 'polite' });
+        const buttons = _createElement('div', STYLES.buttons);
+        const cancelButton = _createElement('button', null, { type: 'button' });
+        cancelButton.textContent = '取消';
+        const confirmButton = _createElement('button', null, { type: 'button' });
+        confirmButton.textContent = '确认';
+
+        track.appendChild(target);
+        track.appendChild(handle);
+        buttons.appendChild(cancelButton);
+        buttons.appendChild(confirmButton);
+        [title, description, track, status, buttons].forEach(child => dialog.appendChild(child));
+        overlay.appendChild(dialog);
+        document.body.appendChild(overlay);
+
+        const focusable = [handle, cancelButton, confirmButton];
+        let answer = null;  // 当前作答: { resolve, position, input, samples, startedAt, dragging }
+
+        function render(position) {
+            const percent = Math.round(position * 100);
+            handle.style.left = `${position * 100}%`;
+            handle.setAttribute('aria-valuenow', String(percent));
+            handle.setAttribute('aria-valuetext', `${percent}%`);
+        }
+
+        function record(position, input, force) {
+            const t = Date.now() - answer.startedAt;
+            const last = answer.samples[answer.samples.length - 1];
+            answer.position = _clamp(position);
+            answer.input = answer.input === 'pointer' ? 'pointer' : input;
+            render(answer.position);
+            if (force || t - last[1] >= SAMPLE_INTERVAL_MS) {
+                if (answer.samples.length >= MAX_SAMPLES) {
+                    answer.samples.pop();
+                }
+                answer.samples.push([_round(answer.position), t]);
+            }
+        }
+
+        function finish(result) {
+            const current = answer;
+            answer = null;
+            current.resolve(result);
+        }
+
+        function submit() {
+            if (!answer) return;
+            if (!answer.input) {
+                status.textContent = '请先移动滑块';
+                return;
+            }
+            record(answer.position, answer.input, true);
+            finish({ position: _round(answer.position), trace: { input: answer.input, samples: answer.samples } });
+        }
+
+        function positionFromPointer(event) {
+            const rect = track.getBoundingClientRect();
+            return rect.width > 0 ? (event.clientX - rect.left) / rect.width : 0;
+        }
+
+        track.addEventListener('pointerdown', (event) => {
+            if (!answer || event.isTrusted === false) return;
+            event.preventDefault();
+            answer.dragging = true;
+            if (typeof track.setPointerCapture === 'function') {
+                track.setPointerCapture(event.pointerId);
+            }
+            handle.focus();
+            record(positionFromPointer(event), 'pointer', true);
+        });
+        track.addEventListener('pointermove', (event) => {
+            if (!answer || !answer.dragging || event.isTrusted === false) return;
+            record(positionFromPointer(event), 'pointer', false);
+        });
+        track.addEventListener('pointerup', (event) => {
+            if (!answer || !answer.dragging || event.isTrusted === false) return;
+            answer.dragging = false;
+            record(positionFromPointer(event), 'pointer', true);
+            submit();
+        });
+
+        handle.addEventListener('keydown', (event) => {
+            if (!answer || event.isTrusted === false) return;
+            const steps = {
+                ArrowRight: KEY_STEP, ArrowUp: KEY_STEP, ArrowLeft: -KEY_STEP, ArrowDown: -KEY_STEP,
+                PageUp: PAGE_STEP, PageDown: -PAGE_STEP
+            };
+            if (steps[event.key] !== undefined) {
+                record(answer.position + steps[event.key], 'keyboard', true);
+            } else if (event.key === 'Home' || event.key === 'End') {
+                record(event.key === 'Home' ? 0 : 1, 'keyboard', true);
+            } else if (event.key === 'Enter') {
+                submit();
+            } else {
+                return;
+            }
+            event.preventDefault();
+        });
+
+        // 焦点限制在弹窗内，Esc 取消
+        dialog.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape') {
+                event.preventDefault();
+                if (answer) finish(null);
+            } else if (event.key === 'Tab') {
+                event.preventDefault();
+                const index = focusable.indexOf(document.activeElement);
+                const next = (index + (event.shiftKey ? -1 : 1) + focusable.length) % focusable.length;
+                focusable[next].focus();
+            }
+        });
+        confirmButton.addEventListener('click', (event) => {
+            if (event.isTrusted !== false) submit();
+        });
+        cancelButton.addEventListener('click', () => {
+            if (answer) finish(null);
+        });
+
+        return {
+            ask(challenge, message) {
+                const percent = Math.round(challenge.target * 100);
+                target.style.left = `${challenge.target * 100}%`;
+                description.textContent = `请将滑块拖动到绿色标记处 (约 ${percent}%)，或聚焦滑块后用方向键调整并按 Enter 确认。`;
+                status.textContent = message || '';
+                render(0);
+                handle.focus();
+                return new Promise((resolve) => {
+                    answer = { resolve, position: 0, input: null, samples: [[0, 0]], startedAt: Date.now(), dragging: false };
+                });
+            },
+            close() {
+                if (overlay.parentNode) {
+                    overlay.parentNode.removeChild(overlay);
+                }
+                if (previousFocus && typeof previousFocus.focus === 'function') {
+                    previousFocus.focus();
+                }
+            }
+        };
+    }
+
+    /**
+     * 完成一次验证: 获取挑战 -> 用户作答 -> 提交校验，作答错误时重新出题
+     * @private
+     */
+    async function _solve() {
+        if (typeof document === 'undefined' || !document.body) {
+            throw _challengeError('Challenge UI is not available in this environment.', 'failed');
+        }
+        const sessionToken = HiveHyde.SessionVault.getCurrentToken();
+        if (!sessionToken) {
+            throw _challengeError('No active session to bind the challenge pass to.', 'failed');
+        }
+
+        console.log('[HiveHyde] ChallengeGate: Showing the verification challenge.');
+        const dialog = _openDialog();
+        try {
+            let message = '';
+            for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+                const { challenge } = await _postChallenge({ token: sessionToken });
+                const answer = await dialog.ask(challenge, message);
+                if (!answer) {
+                    throw _challengeError('Challenge cancelled by the user.', 'cancelled');
+                }
+                try {
+                    const { pass } = await _postChallenge({ token: sessionToken, challenge, answer: { position: answer.position }, trace: answer.trace });
+                    // 有效期按本地时钟计算，避免依赖客户端与服务器的时钟一致
+                    currentPass = { value: pass.token, sessionToken, expiresAt: Date.now() + pass.ttlMs };
+                    console.log('[HiveHyde] ChallengeGate: Challenge passed.');
+                    return;
+                } catch (error) {
+                    if (error.code !== CHALLENGE_FAILED_CODE) {
+                        throw error;
+                    }
+                    console.warn(`[HiveHyde] ChallengeGate: Attempt ${attempt} was rejected.`);
+                    message = '验证未通过，请重试。';
+                }
+            }
+            throw _challengeError(`Challenge failed after ${MAX_ATTEMPTS} attempts.`, 'failed');
+        } catch (error) {
+            throw error.reason ? error : _challengeError(`Challenge could not be completed: ${error.message}`, 'failed', error);
+        } finally {
+            dialog.close();
+        }
+    }
+
+    // --- 公共接口 ---
+
+    /**
+     * 弹出验证并等待用户完成。并发调用共享同一次验证。
+     * @returns {Promise<void>} - 失败时抛出带 reason ('cancelled' | 'failed') 的 Error
+     * @public
+     */
+    function run() {
+        if (!pendingChallenge) {
+            pendingChallenge = _solve().finally(() => {
+                pendingChallenge = null;
+            });
+        }
+        return pendingChallenge;
+    }
+
+    /**
+     * 是否持有对当前会话有效的通行证 (会话续期后旧通行证自动失效)
+     * @returns {boolean}
+     * @public
+     */
+    function hasValidPass() {
+        return !!currentPass
+            && currentPass.sessionToken === HiveHyde.SessionVault.getCurrentToken()
+            && Date.now() < currentPass.expiresAt;
+    }
+
+    /**
+     * 需要附加到受保护请求上的通行证请求头，没有有效通行证时为空对象
+     * @returns {object}
+     * @public
+     */
+    function getPassHeaders() {
+        return hasValidPass() ? { [PASS_HEADER]: currentPass.value } : {};
+    }
+
+    // --- 暴露接口 ---
+    HiveHyde.ChallengeGate = {
+        run,
+        hasValidPass,
+        getPassHeaders
+    };
+
+})(window);
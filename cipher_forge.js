@@ -0,0 +1,220 @@
+/**
+ * HiveHyde Anti-Crawler System - Cipher Forge
+ *
+ * 功能:
+ * 1. 为其他模块提供统一的异步密码学接口 (SHA-256、HMAC-SHA256、HKDF、AES-CBC、AES-GCM、随机数)。
+ * 2. 优先使用浏览器原生的 SubtleCrypto，仅在其不可用 (如非安全上下文、旧浏览器) 时回退到 CryptoJS。
+ * 3. 所有输入输出统一为 Uint8Array，屏蔽两种实现之间的数据格式差异。
+ *
+ * @version 1.0
+ */
+(function(window) {
+    'use strict';
+
+    const HiveHyde = window.HiveHyde || (window.HiveHyde = {});
+
+    const subtle = (window.crypto && window.crypto.subtle && typeof window.crypto.subtle.importKey === 'function')
+        ? window.crypto.subtle
+        : null;
+    const hasCryptoJS = typeof CryptoJS !== 'undefined';
+
+    if (!subtle && !hasCryptoJS) {
+        const errorMsg = '[HiveHyde] FATAL: Neither SubtleCrypto nor CryptoJS is available. Serve the page over HTTPS or include crypto-js.min.js before this script.';
+        console.error(errorMsg);
+        throw new Error(errorMsg);
+    }
+
+    // --- 配置常量 ---
+    const KEY_CACHE_LIMIT = 8; // 已导入的 CryptoKey 缓存上限
+
+    // --- 内部状态 ---
+    const importedKeys = new Map(); // `${用途}:${十六进制密钥}` -> CryptoKey
+
+    // --- 编码辅助函数 ---
+
+    function utf8Encode(text) {
+        return new TextEncoder().encode(text);
+    }
+
+    function bytesToHex(bytes) {
+        let hex = '';
+        for (let i = 0; i < bytes.length; i++) {
+            hex += (bytes[i] < 16 ? '0' : '') + bytes[i].toString(16);
+        }
+        return hex;
+    }
+
+    function hexToBytes(hex) {
+        const bytes = new Uint8Array(hex.length >>> 1);
+        for (let i = 0; i < bytes.length; i++) {
+            bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+        }
+        return bytes;
+    }
+
+    function bytesToBase64(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i++) {
+            binary += String.fromCharCode(bytes[i]);
+        }
+        return window.btoa(binary);
+    }
+
+    function concatBytes(...chunks) {
+        const result = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+        let offset = 0;
+        for (const chunk of chunks) {
+            result.set(chunk, offset);
+            offset += chunk.length;
+        }
+        return result;
+    }
+
+    /**
+     * Uint8Array -> CryptoJS WordArray
+     * @private
+     */
+    function _toWordArray(bytes) {
+        return CryptoJS.lib.WordArray.create(bytes);
+    }
+
+    /**
+     * CryptoJS WordArray -> Uint8Array
+     * @private
+     */
+    function _fromWordArray(wordArray) {
+        const bytes = new Uint8Array(wordArray.sigBytes);
+        for (let i = 0; i < bytes.length; i++) {
+            bytes[i] = (wordArray.words[i >>> 2] >>> (24 - (i % 4) * 8)) & 0xff;
+        }
+        return bytes;
+    }
+
+    /**
+     * 导入并缓存 CryptoKey，避免每次请求重复导入同一密钥
+     * @private
+     */
+    async function _importKey(keyBytes, algorithm, usages) {
+        const cacheKey = `${algorithm.name}:${bytesToHex(keyBytes)}`;
+        if (importedKeys.has(cacheKey)) {
+            return importedKeys.get(cacheKey);
+        }
+        const key = await subtle.importKey('raw', keyBytes, algorithm, false, usages);
+        if (importedKeys.size >= KEY_CACHE_LIMIT) {
+            importedKeys.clear();
+        }
+        importedKeys.set(cacheKey, key);
+        return key;
+    }
+
+    // --- 公共接口 ---
+
+    /**
+     * 计算 SHA-256 摘要
+     * @param {Uint8Array} bytes
+     * @returns {Promise<Uint8Array>}
+     * @public
+     */
+    async function sha256(bytes) {
+        if (subtle) {
+            return new Uint8Array(await subtle.digest('SHA-256', bytes));
+        }
+        return _fromWordArray(CryptoJS.SHA256(_toWordArray(bytes)));
+    }
+
+    /**
+     * 计算 HMAC-SHA256
+     * @param {Uint8Array} keyBytes - 密钥
+     * @param {Uint8Array} dataBytes - 消息
+     * @returns {Promise<Uint8Array>}
+     * @public
+     */
+    async function hmacSha256(keyBytes, dataBytes) {
+        if (subtle) {
+            const key = await _importKey(keyBytes, { name: 'HMAC', hash: 'SHA-256' }, ['sign']);
+            return new Uint8Array(await subtle.sign('HMAC', key, dataBytes));
+        }
+        return _fromWordArray(CryptoJS.HmacSHA256(_toWordArray(dataBytes), _toWordArray(keyBytes)));
+    }
+
+    /**
+     * HKDF-SHA256 (RFC 5869)，salt 为 32 字节全零，输出 32 字节。
+     * 直接基于 hmacSha256 实现，保证两种后端的结果一致。
+     * @param {Uint8Array} ikm - 输入密钥材料
+     * @param {string} info - 上下文信息，用于区分派生密钥的用途
+     * @returns {Promise<Uint8Array>}
+     * @public
+     */
+    async function hkdfSha256(ikm, info) {
+        const prk = await hmacSha256(new Uint8Array(32), ikm);
+        return hmacSha256(prk, concatBytes(utf8Encode(info), new Uint8Array([1])));
+    }
+
+    /**
+     * AES-256-CBC 加密 (PKCS7 填充)
+     * @param {Uint8Array} keyBytes - 32字节密钥
+     * @param {Uint8Array} ivBytes - 16字节IV
+     * @param {Uint8Array} plaintextBytes - 明文
+     * @returns {Promise<Uint8Array>} - 密文
+     * @public
+     */
+    async function aesCbcEncrypt(keyBytes, ivBytes, plaintextBytes) {
+        if (subtle) {
+            const key = await _importKey(keyBytes, { name: 'AES-CBC' }, ['encrypt']);
+            return new Uint8Array(await subtle.encrypt({ name: 'AES-CBC', iv: ivBytes }, key, plaintextBytes));
+        }
+        const encrypted = CryptoJS.AES.encrypt(_toWordArray(plaintextBytes), _toWordArray(keyBytes), {
+            iv: _toWordArray(ivBytes),
+            mode: CryptoJS.mode.CBC,
+            padding: CryptoJS.pad.Pkcs7
+        });
+        return _fromWordArray(encrypted.ciphertext);
+    }
+
+    /**
+     * AES-256-GCM 认证加密，仅 SubtleCrypto 可用
+     * @param {Uint8Array} keyBytes - 32字节密钥
+     * @param {Uint8Array} ivBytes - 12字节IV
+     * @param {Uint8Array} plaintextBytes - 明文
+     * @returns {Promise<Uint8Array>} - 密文 || 16字节认证标签
+     * @public
+     */
+    async function aesGcmEncrypt(keyBytes, ivBytes, plaintextBytes) {
+        if (!subtle) {
+            throw new Error('AES-GCM requires SubtleCrypto, which is unavailable in this environment.');
+        }
+        const key = await _importKey(keyBytes, { name: 'AES-GCM' }, ['encrypt']);
+        return new Uint8Array(await subtle.encrypt({ name: 'AES-GCM', iv: ivBytes }, key, plaintextBytes));
+    }
+
+    /**
+     * 生成密码学安全的随机字节
+     * @param {number} length
+     * @returns {Uint8Array}
+     * @public
+     */
+    function randomBytes(length) {
+        if (window.crypto && typeof window.crypto.getRandomValues === 'function') {
+            return window.crypto.getRandomValues(new Uint8Array(length));
+        }
+        return _fromWordArray(CryptoJS.lib.WordArray.random(length));
+    }
+
+    // --- 暴露接口 ---
+    HiveHyde.CipherForge = {
+        backend: subtle ? 'subtle' : 'cryptojs',
+        supportsAesGcm: !!subtle,
+        sha256,
+        hmacSha256,
+        hkdfSha256,
+        aesCbcEncrypt,
+        aesGcmEncrypt,
+        randomBytes,
+        utf8Encode,
+        bytesToHex,
+        hexToBytes,
+        bytesToBase64,
+        concatBytes
+    };
+
+})(window);
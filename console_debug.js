@@ -1,33 +1,34 @@
 // =================== 调试代码 - 开始 ===================
 
 (function() {
-    if (typeof CryptoJS === 'undefined' || typeof CryptoJS.HmacSHA256 === 'undefined') {
-        console.error("[Hive-Anti-Debug] CryptoJS is not ready. Please make sure it's loaded.");
+    const Forge = window.HiveHyde && window.HiveHyde.CipherForge;
+    if (!Forge || typeof Forge.hmacSha256 !== 'function') {
+        console.error("[Hive-Anti-Debug] HiveHyde.CipherForge is not ready. Please make sure cipher_forge.js is loaded.");
         return;
     }
 
-    // 1. 保存原始的加密函数
-    const originalHmacSHA256 = CryptoJS.HmacSHA256;
+    // 注意: 页面加载了 integrity_monitor.js 时，这一替换会被发现并显著提高风险分 (integrity_critical)
+    // 1. 保存原始的签名函数 (CipherForge 统一封装了 SubtleCrypto 与 CryptoJS 两种实现)
+    const originalHmacSHA256 = Forge.hmacSha256;
 
     // 2. 用我们的函数替换它
-    CryptoJS.HmacSHA256 = function(data, key) {
+    Forge.hmacSha256 = async function(keyBytes, dataBytes) {
+        // 4. 调用原始的签名函数，确保功能不受影响
+        const signature = await originalHmacSHA256(keyBytes, dataBytes);
+
         console.groupCollapsed('%c[Hive-Anti-Debug] Signature Calculation Intercepted', 'color: #e67e22; font-weight: bold;');
-        
+
         // 3. 打印出所有加密前的原始值！
+        // 注意: HKDF 派生密钥 (协议 v2/v3) 同样基于 HMAC，也会出现在这里
         console.log('%cData To Sign (Client):', 'font-weight: bold; color: #3498db;');
-        console.log(data); // 这就是前端最终用于签名的那个超长字符串
+        console.log(new TextDecoder().decode(dataBytes)); // 这就是前端最终用于签名的那个超长字符串
 
-        // CryptoJS内部会将key转为WordArray，我们把它转回十六进制字符串，方便和后端比对
-        const keyAsHex = key.toString(CryptoJS.enc.Hex);
+        // 把密钥转为十六进制字符串，方便和后端比对
         console.log('%cSecret Key (Hex, Client):', 'font-weight: bold; color: #2ecc71;');
-        console.log(keyAsHex); // 这就是前端使用的会话密钥
-
-        // 4. 调用原始的加密函数，确保功能不受影响
-        const signature = originalHmacSHA256(data, key);
-        const signatureAsHex = signature.toString(CryptoJS.enc.Hex);
+        console.log(Forge.bytesToHex(keyBytes)); // v1 下就是会话密钥，v2/v3 下是派生的签名密钥
 
         console.log('%cCalculated Signature (Client):', 'font-weight: bold; color: #9b59b6;');
-        console.log(signatureAsHex);
+        console.log(Forge.bytesToHex(signature));
 
         console.groupEnd();
 
@@ -35,8 +36,8 @@
         return signature;
     };
 
-    console.log('%c[Hive-Anti-Debug] HMAC-SHA256 function has been patched for debugging. Now perform the action to trigger the signature.', 'background: #2c3e50; color: #ecf0f1; padding: 2px 5px; border-radius: 3px;');
+    console.log(`%c[Hive-Anti-Debug] HMAC-SHA256 (backend: ${Forge.backend}) has been patched for debugging. Now perform the action to trigger the signature.`, 'background: #2c3e50; color: #ecf0f1; padding: 2px 5px; border-radius: 3px;');
 
 })();
 
-// =================== 调试代码 - 结束 ===================
\ No newline at end of file
+// =================== 调试代码 - 结束 ===================
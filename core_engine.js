@@ -6,6 +6,9 @@
  * 2. 初始化所有模块，并进行环境能力自检。
  * 3. 根据环境能力，生成动态的采集和评估策略。
  * 4. 提供一个核心处理函数，驱动整个签名生成流程。
+ * 5. 合并后端随会话下发的策略覆盖，会话续期时重新应用。
+ * 6. 按用户同意的采集级别过滤策略，支持在运行时通过 updateConsent 调整。
+ * 7. 加载了 integrity_monitor.js 时记录各模块的引用，供完整性检查对比。
  *
  * @version 1.0
  */
@@ -18,6 +21,7 @@
     // --- 内部状态 ---
     let isInitialized = false;
     let currentPolicy = null;
+    let localFingerprintSchema = null; // initialize({ fingerprintSchema }) 传入并通过校验的指纹 schema
     let config = {
         apiBaseUrl: ''
     };
@@ -36,6 +40,11 @@
             hasWebGL: (() => { try { return !!document.createElement('canvas').getContext('webgl'); } catch (e) { return false; } })(),
             hasPerformance: !!window.performance && typeof window.performance.getEntriesByType === 'function',
             hasDeviceMotion: 'DeviceMotionEvent' in window,
+            hasIntl: typeof Intl !== 'undefined' && typeof Intl.DateTimeFormat === 'function',
+            hasMatchMedia: typeof window.matchMedia === 'function',
+            hasMediaElement: (() => { try { return typeof document.createElement('video').canPlayType === 'function'; } catch (e) { return false; } })(),
+            hasHoneypot: !!HiveHyde.Honeypot, // 可选模块 honeypot.js
+            hasIntegrityMonitor: !!HiveHyde.IntegrityMonitor, // 可选模块 integrity_monitor.js
             isIOS: /iPad|iPhone|iPod/.test(navigator.userAgent) && !window.MSStream,
         };
 
@@ -62,6 +71,26 @@
             policy.collectors.push('audio');
             policy.weights.audio = 20;
         }
+        if (capabilities.hasCanvas) {
+            policy.collectors.push('fonts');
+            policy.weights.fonts = 10;
+        }
+        if (capabilities.hasIntl) {
+            policy.collectors.push('intl');
+            policy.weights.intl = 10;
+        }
+        if (capabilities.hasNavigator) {
+            policy.collectors.push('hardware');
+            policy.weights.hardware = 5;
+        }
+        if (capabilities.hasMediaElement) {
+            policy.collectors.push('media_codecs');
+            policy.weights.media_codecs = 10;
+        }
+        if (capabilities.hasMatchMedia) {
+            policy.collectors.push('media_queries');
+            policy.weights.media_queries = 10;
+        }
 
         // 3. 动态活性与环境采集点
         if (capabilities.hasPerformance) {
@@ -70,16 +99,174 @@
         }
         policy.collectors.push('mouse_trajectory');
         policy.weights.mouse_trajectory = 25;
+        policy.collectors.push('interaction'); // 触摸、键盘节奏、滚动与焦点等交互统计
+        policy.weights.interaction = 20;
+        if (capabilities.hasHoneypot) {
+            policy.collectors.push('honeypot'); // 诱饵表单字段与伪造事件
+            policy.weights.honeypot = 40;
+        }
         
         // ✨【BUG修复】将 anomaly_scan 加入到采集任务列表中
         // 这是至关重要的一步，确保异常扫描模块会被执行
         policy.collectors.push('anomaly_scan'); 
         policy.weights.anomaly_scan = 50; // 异常扫描拥有高权重
+        policy.collectors.push('cross_realm'); // Worker 与 iframe 中的属性与主窗口对比，不可用的 Realm 自动跳过
+        policy.weights.cross_realm = 40;
+        if (capabilities.hasIntegrityMonitor) {
+            policy.collectors.push('integrity'); // CryptoJS、fetch 与 HiveHyde 模块方法是否被替换
+            policy.weights.integrity = 60;
+        }
+
+        // 4. 通过 DataLoom.registerCollector 注册的自定义采集点
+        const registry = HiveHyde.DataLoom.getCollectorRegistry();
+        for (const collector of registry.collectors) {
+            let isCapable = true;
+            try {
+                isCapable = !collector.capability || collector.capability() === true;
+            } catch (e) {
+                isCapable = false;
+            }
+            if (isCapable) {
+                policy.collectors.push(collector.name);
+                policy.weights[collector.name] = collector.weight;
+            }
+        }
+        policy.registryRevision = registry.revision;
+
+        // 5. 合并后端随会话下发的策略覆盖
+        _applyPolicyOverlay(policy, HiveHyde.SessionVault.getPolicyOverlay());
+
+        // 6. 按采集级别过滤 (后端策略覆盖也不能启用未获同意的采集器)
+        policy.collectionLevel = HiveHyde.DataLoom.getCollectionLevel();
+        policy.collectors = policy.collectors.filter((name) => HiveHyde.DataLoom.isCollectorAllowed(name));
 
         console.log('[HiveHyde] Dynamic policy generated:', policy);
         return policy;
     }
 
+    /**
+     * 将后端下发的策略覆盖合并到本地能力策略中 (原地修改 policy)。
+     * 覆盖格式:
+     * {
+     *   version: 'p-2024-06',                                  // 策略版本，仅用于日志与排查
+     *   collectors: { enable: ['audio'], disable: ['canvas'] }, // 开启/关闭采集点
+     *   weights: { canvas: 30 },                               // 覆盖风险评分权重
+     *   fingerprintSchema: { version: 2, fields: { ... } },    // 签名指纹的 schema (格式见 risk_matrix.js)，优先于本地配置
+     *   riskThreshold: 60                                      // 风险分达到该值时在签名包中标记 riskExceeded
+     * }
+     * 不合法的字段被忽略并告警，其余字段照常生效。
+     * @private
+     */
+    function _applyPolicyOverlay(policy, overlay) {
+        policy.version = null;
+        policy.fingerprintSchema = localFingerprintSchema;
+        policy.riskThreshold = null;
+        if (!overlay) {
+            return;
+        }
+        const isNameList = (value) => Array.isArray(value) && value.every((name) => typeof name === 'string');
+
+        if (overlay.collectors) {
+            const { enable = [], disable = [] } = overlay.collectors;
+            if (isNameList(enable) && isNameList(disable)) {
+                policy.collectors = policy.collectors.filter((name) => !disable.includes(name));
+                for (const name of enable) {
+                    if (disable.includes(name) || policy.collectors.includes(name)) {
+                        continue;
+                    }
+                    // 未知的采集点，或所依赖的可选模块未加载 (如 honeypot.js)
+                    if (!HiveHyde.DataLoom.isCollectorAvailable(name)) {
+                        console.warn(`[HiveHyde] Policy overlay: Collector "${name}" is not available, ignored.`);
+                        continue;
+                    }
+                    policy.collectors.push(name);
+                }
+            } else {
+                console.warn('[HiveHyde] Policy overlay: `collectors.enable` / `collectors.disable` must be arrays of names, ignored.');
+            }
+        }
+        if (overlay.weights && typeof overlay.weights === 'object') {
+            for (const [name, weight] of Object.entries(overlay.weights)) {
+                if (typeof weight === 'number' && isFinite(weight)) {
+                    policy.weights[name] = weight;
+                } else {
+                    console.warn(`[HiveHyde] Policy overlay: weight of "${name}" must be a number, ignored.`);
+                }
+            }
+        }
+        if (overlay.fingerprintSchema) {
+            const result = HiveHyde.RiskMatrix.validateFingerprintSchema(overlay.fingerprintSchema);
+            if (result.valid) {
+                policy.fingerprintSchema = overlay.fingerprintSchema;
+            } else {
+                console.warn(`[HiveHyde] Policy overlay: Invalid \`fingerprintSchema\` ignored: ${result.errors.join('; ')}`);
+            }
+        }
+        if (overlay.riskThreshold !== undefined) {
+            if (typeof overlay.riskThreshold === 'number' && isFinite(overlay.riskThreshold)) {
+                policy.riskThreshold = overlay.riskThreshold;
+            } else {
+                console.warn('[HiveHyde] Policy overlay: `riskThreshold` must be a number, ignored.');
+            }
+        }
+        policy.version = overlay.version !== undefined ? String(overlay.version) : null;
+    }
+
+    /**
+     * 会话更新 (首次获取、续期或从主标签页接收) 时重新生成策略，使后端下发的覆盖立即生效
+     * @private
+     */
+    function _onSessionUpdate() {
+        if (!currentPolicy) {
+            return;
+        }
+        currentPolicy = _generateDynamicPolicy();
+        if (isInitialized) {
+            HiveHyde.DataLoom.precompute(currentPolicy.collectors);
+        }
+    }
+
+    /**
+     * 校验 config.fingerprintSchema，不合法时告警并使用默认 schema
+     * @private
+     */
+    function _loadFingerprintSchema() {
+        localFingerprintSchema = null;
+        if (!config.fingerprintSchema) {
+            return;
+        }
+        const result = HiveHyde.RiskMatrix.validateFingerprintSchema(config.fingerprintSchema);
+        if (result.valid) {
+            localFingerprintSchema = config.fingerprintSchema;
+        } else {
+            console.warn(`[HiveHyde] Invalid \`fingerprintSchema\`, keeping the default schema: ${result.errors.join('; ')}`);
+        }
+    }
+
+    /**
+     * 加载风险规则集: config.riskRules (规则集对象) 或 config.riskRulesUrl (返回规则集 JSON 的地址)。
+     * 加载或校验失败时保留默认规则集，不影响初始化。
+     * @private
+     */
+    async function _loadRiskRules() {
+        try {
+            let ruleSet = config.riskRules;
+            if (!ruleSet && config.riskRulesUrl) {
+                const url = /^https?:\/\//i.test(config.riskRulesUrl) ? config.riskRulesUrl : `${config.apiBaseUrl}${config.riskRulesUrl}`;
+                const response = await fetch(url);
+                if (!response.ok) {
+                    throw new Error(`server responded with status: ${response.status}`);
+                }
+                ruleSet = await response.json();
+            }
+            if (ruleSet) {
+                HiveHyde.RiskRules.load(ruleSet);
+            }
+        } catch (error) {
+            console.warn('[HiveHyde] Failed to load risk rules, keeping the default rule set.', error.message);
+        }
+    }
+
     /**
      * 核心处理函数 - 驱动整个签名流程
      * @param {string} realUrl - API的真实URL路径
@@ -93,6 +280,11 @@
             throw new Error('[HiveHyde] Error: System is not initialized. Please call HiveHyde.initialize() first.');
         }
         try {
+            // 初始化之后又注册了新的采集器时，重新生成策略
+            if (currentPolicy.registryRevision !== HiveHyde.DataLoom.getCollectorRegistry().revision) {
+                currentPolicy = _generateDynamicPolicy();
+            }
+
             // 注意：AnomalyScan的执行现在被包含在DataLoom的gather中了，因为我们把它加入了策略
             const allCollectedData = await HiveHyde.DataLoom.gather(currentPolicy.collectors);
             
@@ -102,8 +294,17 @@
                 currentPolicy.weights,
                 realUrl,
                 params,
-                method
+                method,
+                {
+                    fingerprintSchema: currentPolicy.fingerprintSchema,
+                    version: currentPolicy.version,
+                    collectionLevel: currentPolicy.collectionLevel
+                }
             );
+            if (currentPolicy.riskThreshold !== null && signaturePackage.riskScore >= currentPolicy.riskThreshold) {
+                signaturePackage.riskExceeded = true;
+                console.warn(`[HiveHyde] Risk score ${signaturePackage.riskScore} reached the policy threshold ${currentPolicy.riskThreshold}.`);
+            }
             return signaturePackage;
         } catch (error) {
             console.error('[HiveHyde] Critical error during request processing:', error);
@@ -115,6 +316,12 @@
      * 初始化函数 - 整个系统的入口
      * @param {object} userConfig - 用户传入的配置对象
      * @param {string} userConfig.apiBaseUrl - 后端API的基地址
+     * @param {number} [userConfig.protocolVersion=1] - 签名协议版本 (1、2 或 3)，需与后端支持的版本一致
+     * @param {boolean} [userConfig.shareSession=true] - 是否在同源的多个标签页之间共享会话 (需加载 tab_relay.js)
+     * @param {object} [userConfig.riskRules] - 风险规则集 (格式见 risk_rules.js)，替换默认规则集
+     * @param {string} [userConfig.riskRulesUrl] - 初始化时从该地址获取风险规则集 JSON，相对路径基于 apiBaseUrl
+     * @param {object} [userConfig.fingerprintSchema] - 签名指纹的 schema (格式见 risk_matrix.js)，后端策略覆盖中的 schema 优先
+     * @param {string} [userConfig.collectionLevel='full'] - 用户同意的采集级别 ('essential' | 'standard' | 'full')，之后可通过 updateConsent 调整
      * @returns {Promise<boolean>}
      * @public
      */
@@ -126,17 +333,34 @@
         if (!userConfig || typeof userConfig.apiBaseUrl !== 'string' || userConfig.apiBaseUrl.trim() === '') {
             throw new Error('[HiveHyde] FATAL: `apiBaseUrl` (string) must be provided in the configuration object during initialization.');
         }
+        if (userConfig.collectionLevel !== undefined && !HiveHyde.DataLoom.COLLECTION_LEVELS.includes(userConfig.collectionLevel)) {
+            throw new Error(`[HiveHyde] FATAL: \`collectionLevel\` must be one of: ${HiveHyde.DataLoom.COLLECTION_LEVELS.join(', ')}.`);
+        }
         config = { ...config, ...userConfig };
         HiveHyde.config = config;
         
         console.log(`[HiveHyde] Initializing with API base URL: ${config.apiBaseUrl}`);
         
         try {
+            // 记录在本模块之后加载的 challenge_gate.js 与 api_sentinel.js
+            if (HiveHyde.IntegrityMonitor) {
+                HiveHyde.IntegrityMonitor.seal();
+            }
+            _loadFingerprintSchema();
+            if (config.collectionLevel) {
+                HiveHyde.DataLoom.setCollectionLevel(config.collectionLevel);
+            }
             currentPolicy = _generateDynamicPolicy();
             await HiveHyde.SessionVault.initialize();
+            await _loadRiskRules();
             if (HiveHyde.DataLoom && typeof HiveHyde.DataLoom.startListeners === 'function') {
                 HiveHyde.DataLoom.startListeners();
             }
+            if (HiveHyde.Honeypot) {
+                HiveHyde.Honeypot.startListeners();
+            }
+            // 静态指纹在空闲时间预先计算，首个受保护请求无需等待音频渲染等耗时采集
+            HiveHyde.DataLoom.precompute(currentPolicy.collectors);
             isInitialized = true;
             console.log('[HiveHyde] Initialization successful.');
             return true;
@@ -147,8 +371,37 @@
         }
     }
 
+    /**
+     * 调整采集级别 (如用户在同意弹窗中更改选择)，立即重新生成策略，之后的请求按新级别采集并在签名指纹中声明
+     * @param {string} level - 'essential' | 'standard' | 'full'
+     * @returns {string} - 生效的采集级别
+     * @public
+     */
+    function updateConsent(level) {
+        HiveHyde.DataLoom.setCollectionLevel(level);
+        config.collectionLevel = level;
+        if (isInitialized && HiveHyde.Honeypot) {
+            HiveHyde.Honeypot.startListeners(); // 按新级别补挂或移除蜜罐的文档级监听
+        }
+        if (currentPolicy) {
+            currentPolicy = _generateDynamicPolicy();
+            if (isInitialized) {
+                HiveHyde.DataLoom.precompute(currentPolicy.collectors);
+            }
+        }
+        return level;
+    }
+
+    HiveHyde.SessionVault.onSessionUpdate(_onSessionUpdate);
+
     // --- 将公共接口暴露到 HiveHyde 命名空间 ---
     HiveHyde.initialize = initialize;
     HiveHyde.processRequest = processRequest;
+    HiveHyde.updateConsent = updateConsent;
+
+    // 加载完成即记录已加载模块的引用，尽早发现之后的替换
+    if (HiveHyde.IntegrityMonitor) {
+        HiveHyde.IntegrityMonitor.seal();
+    }
 
 })(window);
\ No newline at end of file
@@ -6,6 +6,12 @@
  * 2. 每个采集函数都必须能安全执行，并在不支持或出错时返回固定标识。
  * 3. 提供一个统一的 gather 方法，根据策略动态执行采集任务。
  * 4. 包含需要预先启动的事件监听器和行为分析。
+ * 5. 提供采集器注册表，允许业务方注册站点特有的采集器，无需修改本模块。
+ * 6. 静态指纹 (Canvas、WebGL、音频等) 在页面会话内只计算一次，初始化后利用浏览器空闲时间预先计算。
+ * 7. 每个采集器都有超时上限，卡住的采集器不会拖住整个签名流程。
+ * 8. 采集已安装字体、Intl 与时区、硬件规格、媒体解码能力与 matchMedia 偏好，增加区分设备的信息量。
+ * 9. 按用户同意的采集级别 (essential / standard / full) 限制可执行的采集器，级别可在运行时调整；指针与键盘等行为监听也只在对应级别获得同意后挂载。
+ * 10. 通过 Pointer Events 统一采集鼠标、触摸与手写笔轨迹，并汇总键盘节奏 (不记录按键内容)、滚动、焦点与可见性等交互特征。
  *
  * @version 1.0
  */
@@ -16,56 +22,140 @@
     
     // --- 内部状态，用于动态采集 ---
     let lastMousePosition = { x: 0, y: 0, t: 0, c: 0 }; // x, y, timestamp, click count
-    const mouseTrajectory = []; // 存储鼠标轨迹点
+    const mouseTrajectory = []; // 页面会话内最近的指针轨迹点 (鼠标、触摸、手写笔)，请求之间不清空
+    const interaction = { // 页面会话内累计的交互统计，不随请求清空
+        startedAt: 0,
+        pointerMoves: { mouse: 0, touch: 0, pen: 0 },
+        pointerDowns: 0,
+        keyDowns: 0,
+        keyDwells: [],   // 按下到抬起的时长 (毫秒)
+        keyFlights: [],  // 相邻两次按下的间隔 (毫秒)
+        lastKeyDownAt: 0,
+        scrolls: 0,
+        scrollDistance: 0,
+        lastScrollY: 0,
+        blurs: 0,
+        hiddenCount: 0,
+        untrusted: 0     // 脚本通过 dispatchEvent 伪造的事件数
+    };
+    const pressedKeys = new Map(); // event.code -> 按下时间，仅用于配对 keyup，不进入采集结果
+    const listeners = []; // 行为监听: { collectors, target, type, handler, options, attached }，按采集级别挂载与移除
+    let listenersStarted = false;
+
+    // --- 采集器注册表 ---
+    const registeredCollectors = new Map(); // name -> 采集器定义
+    let registryRevision = 0; // 每次注册递增，供策略调度器判断是否需要重新生成策略
+    const RESERVED_NAMES = ['renderer', 'language', 'plugins', 'risk', 'visitor', 'schema', 'consent']; // 签名指纹与内置策略已占用的名称
+
+    // --- 采集级别 ---
+    let collectionLevel = 'full';
+
+    // --- 完整性检查 ---
+    // integrity_monitor.js 先于本模块加载时在此捕获 check，之后替换 HiveHyde.IntegrityMonitor.check 不影响采集 (替换本身也会被发现)
+    const integrityCheck = HiveHyde.IntegrityMonitor ? HiveHyde.IntegrityMonitor.check : null;
+
+    // --- 静态指纹缓存 ---
+    const staticResults = new Map(); // name -> { task, settled, timedOut } (页面会话内复用)
+
+    // --- 配置常量 ---
+    // 结果在页面会话内不变的采集器；其余 (指针轨迹、交互统计、点击数、异常扫描、时区与偏好等) 每次请求实时采集
+    const STATIC_COLLECTORS = ['canvas', 'webgl', 'audio', 'screen', 'performance', 'cross_realm', 'fonts', 'media_codecs'];
+    const DEFAULT_COLLECTOR_TIMEOUT_MS = 1000;
+    const COLLECTOR_TIMEOUTS_MS = {
+        audio: 1500, // OfflineAudioContext 渲染1秒音频，低端设备上耗时较长
+        cross_realm: 1500 // 需要启动一个 Worker
+    };
+    // 采集级别 (由低到高)，每个级别包含更低级别的采集器:
+    // essential - 识别自动化与篡改所必需、不用于识别设备的检测
+    // standard  - 加上平台、屏幕、语言、时区等常规环境信息、指针轨迹与交互统计 (含按键节奏)
+    // full      - 加上 Canvas、WebGL、音频、字体等高辨识度指纹
+    const COLLECTION_LEVELS = ['essential', 'standard', 'full'];
+    const COLLECTOR_LEVELS = {
+        anomaly_scan: 'essential',
+        cross_realm: 'essential',
+        honeypot: 'essential',
+        integrity: 'essential',
+        performance: 'essential',
+        platform: 'standard',
+        plugins: 'standard',
+        screen: 'standard',
+        language: 'standard',
+        mouse_trajectory: 'standard',
+        interaction: 'standard',
+        intl: 'standard',
+        hardware: 'standard',
+        media_queries: 'standard',
+        canvas: 'full',
+        webgl: 'full',
+        audio: 'full',
+        fonts: 'full',
+        media_codecs: 'full'
+    };
+    const DEFAULT_CUSTOM_COLLECTOR_LEVEL = 'full'; // 自定义采集器未声明级别时按最高级别处理
+    const IDLE_CALLBACK_TIMEOUT_MS = 3000; // 空闲回调的最长延迟，页面持续繁忙时也能完成预计算
+    const POINTER_SAMPLE_INTERVAL_MS = 20; // 轨迹采样间隔，足以计算加速度与加加速度
+    const MAX_TRAJECTORY_POINTS = 200; // 轨迹缓冲区只保留最近的点
+    const MAX_KEY_SAMPLES = 50; // 键盘节奏只保留最近的样本
+    const MAX_KEY_DWELL_MS = 2000; // 超过该时长的按键 (如长按) 不计入节奏统计
+
+    // 字体探测: 候选字体回退到基准字体时宽高不变，宽高变化即说明字体已安装
+    const FONT_BASELINES = ['monospace', 'sans-serif', 'serif'];
+    const FONT_CANDIDATES = [
+        'Arial', 'Arial Black', 'Calibri', 'Cambria', 'Comic Sans MS', 'Consolas', 'Courier New', 'Georgia',
+        'Helvetica', 'Helvetica Neue', 'Impact', 'Lucida Console', 'Menlo', 'Monaco', 'Palatino', 'Segoe UI',
+        'Tahoma', 'Times New Roman', 'Trebuchet MS', 'Verdana', 'Roboto', 'Ubuntu', 'DejaVu Sans', 'Liberation Sans',
+        'Noto Sans', 'PingFang SC', 'Microsoft YaHei', 'SimSun', 'SimHei', 'Hiragino Sans GB', 'MS Gothic', 'Malgun Gothic'
+    ];
+    const FONT_TEST_TEXT = 'mmmmmmmmmmlli1WQ@#汉字かな';
+    const FONT_TEST_SIZE = '72px';
+    const MEDIA_CODECS = {
+        h264: 'video/mp4; codecs="avc1.42E01E"',
+        hevc: 'video/mp4; codecs="hvc1.1.6.L93.B0"',
+        vp8: 'video/webm; codecs="vp8"',
+        vp9: 'video/webm; codecs="vp9"',
+        av1: 'video/mp4; codecs="av01.0.05M.08"',
+        aac: 'audio/mp4; codecs="mp4a.40.2"',
+        mp3: 'audio/mpeg',
+        opus: 'audio/ogg; codecs="opus"',
+        flac: 'audio/flac'
+    };
+    const MEDIA_QUERIES = {
+        dark_scheme: '(prefers-color-scheme: dark)',
+        reduced_motion: '(prefers-reduced-motion: reduce)',
+        more_contrast: '(prefers-contrast: more)',
+        forced_colors: '(forced-colors: active)',
+        coarse_pointer: '(pointer: coarse)',
+        hover: '(hover: hover)',
+        wide_gamut: '(color-gamut: p3)',
+        high_dynamic_range: '(dynamic-range: high)',
+        standalone: '(display-mode: standalone)'
+    };
 
     // --- 私有采集与分析函数 ---
 
     /**
-     * ✨【新增】分析鼠标轨迹的规律性
-     * @param {Array} trajectory - 鼠标轨迹点数组 [[x, y, t], ...]
-     * @returns {object} - 包含分析结果的对象
+     * 分析指针轨迹: 特征提取与评分由 TrajectoryModel 完成
+     * @param {Array} trajectory - 轨迹点数组 [[x, y, t], ...]
+     * @returns {object} - regularity_score 为机器可能性评分 (0-1)，features 为运动学特征
      * @private
      */
     function _analyzeMouseTrajectory(trajectory) {
-        if (trajectory.length < 10) { // 点太少，不具备分析价值
-            return { regularity_score: 0, is_straight_line: false };
-        }
-
-        let regularity_score = 0;
-        let is_straight_line = false;
-
-        // 1. 分析时间间隔的规律性
-        const intervals = trajectory.slice(1).map((p, i) => p[2] - trajectory[i][2]);
-        const avgInterval = intervals.reduce((a, b) => a + b, 0) / intervals.length;
-        const stdDevInterval = Math.sqrt(intervals.map(x => Math.pow(x - avgInterval, 2)).reduce((a, b) => a + b, 0) / intervals.length);
-        if (stdDevInterval < 10) { // 时间间隔标准差过小，可能是机器模拟
-            regularity_score += 0.8;
-        }
-
-        // 2. 分析轨迹是否过于笔直 (斜率一致性检测)
-        let consistentSlopes = 0;
-        let lastSlope = null;
-        for (let i = 1; i < trajectory.length; i++) {
-            const dx = trajectory[i][0] - trajectory[i - 1][0];
-            const dy = trajectory[i][1] - trajectory[i - 1][1];
-            if (dx === 0 && dy === 0) continue; // 忽略静止点
-            
-            const slope = (dx === 0) ? Infinity : dy / dx;
-            if (lastSlope !== null && Math.abs(slope - lastSlope) < 0.1) { // 斜率变化极小
-                consistentSlopes++;
+        try {
+            const features = HiveHyde.TrajectoryModel.extractFeatures(trajectory);
+            if (!features) { // 点太少，不具备分析价值
+                return { regularity_score: 0, is_straight_line: false, features: null, signals: [] };
             }
-            lastSlope = slope;
-        }
-        // 如果超过80%的点斜率都非常一致，则判定为直线
-        if ((consistentSlopes / (trajectory.length - 1)) > 0.8) {
-            regularity_score += 1.0;
-            is_straight_line = true;
+            const result = HiveHyde.TrajectoryModel.score(features);
+            return {
+                regularity_score: result.score,
+                is_straight_line: result.signals.includes('straight_path'),
+                features,
+                signals: result.signals
+            };
+        } catch (e) {
+            console.warn('[HiveHyde] DataLoom: Trajectory analysis failed.', e.message);
+            return { regularity_score: 0, is_straight_line: false, features: null, signals: [] };
         }
-        
-        return { 
-            regularity_score: Math.min(regularity_score, 1.0), // 得分限制在0-1之间
-            is_straight_line 
-        };
     }
     
     /**
@@ -157,6 +247,102 @@
         });
     }
 
+    /**
+     * 通过文本测量探测已安装字体
+     * @private
+     */
+    function _getInstalledFonts() {
+        try {
+            const ctx = document.createElement('canvas').getContext('2d');
+            if (!ctx) return 'err_fonts';
+            const measure = (fontFamily) => {
+                ctx.font = `${FONT_TEST_SIZE} ${fontFamily}`;
+                const metrics = ctx.measureText(FONT_TEST_TEXT);
+                return `${metrics.width}|${metrics.actualBoundingBoxAscent}|${metrics.actualBoundingBoxDescent}`;
+            };
+            const baselines = FONT_BASELINES.map(measure);
+            const installed = FONT_CANDIDATES.filter(font =>
+                FONT_BASELINES.some((baseline, i) => measure(`"${font}", ${baseline}`) !== baselines[i]));
+            return { count: installed.length, list: installed.join(',') };
+        } catch (e) {
+            return 'err_fonts';
+        }
+    }
+
+    /**
+     * 采集 Intl 的区域设置与时区偏移
+     * @private
+     */
+    function _getIntlInfo() {
+        try {
+            if (typeof Intl === 'undefined' || typeof Intl.DateTimeFormat !== 'function') {
+                return 'err_no_intl';
+            }
+            const options = Intl.DateTimeFormat().resolvedOptions();
+            return {
+                locale: options.locale,
+                calendar: options.calendar,
+                numberingSystem: options.numberingSystem,
+                timeZone: options.timeZone || null,
+                hourCycle: new Intl.DateTimeFormat(undefined, { hour: 'numeric' }).resolvedOptions().hourCycle || null,
+                timezoneOffset: new Date().getTimezoneOffset()
+            };
+        } catch (e) {
+            return 'err_intl';
+        }
+    }
+
+    /**
+     * 采集硬件规格 (deviceMemory 仅 Chromium 提供，缺失时为 null)
+     * @private
+     */
+    function _getHardwareInfo() {
+        try {
+            return {
+                hardwareConcurrency: typeof navigator.hardwareConcurrency === 'number' ? navigator.hardwareConcurrency : null,
+                deviceMemory: typeof navigator.deviceMemory === 'number' ? navigator.deviceMemory : null
+            };
+        } catch (e) {
+            return 'err_hardware';
+        }
+    }
+
+    /**
+     * 采集媒体解码能力: 每种编码为 canPlayType 的结果 ('probably' / 'maybe' / '')
+     * @private
+     */
+    function _getMediaCodecs() {
+        try {
+            const video = document.createElement('video');
+            if (typeof video.canPlayType !== 'function') return 'err_media_codecs';
+            const result = { supported: 0 };
+            for (const [name, type] of Object.entries(MEDIA_CODECS)) {
+                result[name] = video.canPlayType(type);
+                if (result[name]) result.supported++;
+            }
+            return result;
+        } catch (e) {
+            return 'err_media_codecs';
+        }
+    }
+
+    /**
+     * 采集 matchMedia 偏好与输入设备特征
+     * @private
+     */
+    function _getMediaQueries() {
+        try {
+            if (typeof window.matchMedia !== 'function') return 'err_media_queries';
+            const result = {};
+            for (const [name, query] of Object.entries(MEDIA_QUERIES)) {
+                result[name] = window.matchMedia(query).matches;
+            }
+            return result;
+        } catch (e) {
+            return 'err_media_queries';
+        }
+    }
+
     /**
      * 采集平台和插件信息，并加入点击次数
      * @private
@@ -217,49 +403,485 @@
     }
 
     /**
-     * 采集并分析鼠标轨迹数据
+     * 采集并分析指针轨迹数据 (缓冲区在请求之间保留，连续请求也有足够的数据)
      * @private
      */
     function _getMouseTrajectory() {
         const capturedTrajectory = [...mouseTrajectory];
-        mouseTrajectory.length = 0;
         return {
             points: capturedTrajectory,
             analysis: _analyzeMouseTrajectory(capturedTrajectory)
         };
     }
 
+    /**
+     * 计算平均值与标准差 (毫秒取整)，样本为空时均为 null
+     * @private
+     */
+    function _summarizeTimings(samples) {
+        if (samples.length === 0) {
+            return { mean: null, std: null };
+        }
+        const mean = samples.reduce((a, b) => a + b, 0) / samples.length;
+        const std = Math.sqrt(samples.map(x => Math.pow(x - mean, 2)).reduce((a, b) => a + b, 0) / samples.length);
+        return { mean: Math.round(mean), std: Math.round(std) };
+    }
+
+    /**
+     * 汇总页面会话内的交互特征 (只有计数与时间统计，不含坐标与按键内容)
+     * @private
+     */
+    function _getInteractionSummary() {
+        const dwell = _summarizeTimings(interaction.keyDwells);
+        const flight = _summarizeTimings(interaction.keyFlights);
+        return {
+            duration: interaction.startedAt ? Date.now() - interaction.startedAt : 0,
+            pointer: {
+                mouse: interaction.pointerMoves.mouse,
+                touch: interaction.pointerMoves.touch,
+                pen: interaction.pointerMoves.pen,
+                downs: interaction.pointerDowns
+            },
+            keys: {
+                count: interaction.keyDowns,
+                dwellMean: dwell.mean,
+                dwellStd: dwell.std,
+                flightMean: flight.mean,
+                flightStd: flight.std
+            },
+            scroll: { count: interaction.scrolls, distance: Math.round(interaction.scrollDistance) },
+            focus: { blurs: interaction.blurs, hiddenCount: interaction.hiddenCount, visible: document.visibilityState !== 'hidden' },
+            untrusted: interaction.untrusted
+        };
+    }
+
+    /**
+     * 内置采集器映射 (anomaly_scan 与 cross_realm 依赖的 AnomalyScan、honeypot 依赖的 Honeypot 在本模块之后加载，因此延迟取值)
+     * @private
+     */
+    const builtinCollectors = {
+        'canvas': _getCanvasFingerprint,
+        'webgl': _getWebGLFingerprint,
+        'audio': _getAudioFingerprint,
+        'platform': _getPlatformInfo,
+        'screen': _getScreenAndLangInfo,
+        'performance': _getPerformanceInfo,
+        'mouse_trajectory': _getMouseTrajectory,
+        'interaction': _getInteractionSummary,
+        'fonts': _getInstalledFonts,
+        'intl': _getIntlInfo,
+        'hardware': _getHardwareInfo,
+        'media_codecs': _getMediaCodecs,
+        'media_queries': _getMediaQueries,
+        'anomaly_scan': () => HiveHyde.AnomalyScan.run(),
+        'cross_realm': () => HiveHyde.AnomalyScan.scanRealms(),
+        'honeypot': () => HiveHyde.Honeypot.report(),
+        'integrity': () => (integrityCheck || HiveHyde.IntegrityMonitor.check)(),
+    };
+    // 依赖可选模块的内置采集器 -> 模块名，模块未加载时采集器不可用
+    const BUILTIN_DEPENDENCIES = {
+        'anomaly_scan': 'AnomalyScan',
+        'cross_realm': 'AnomalyScan',
+        'honeypot': 'Honeypot',
+        'integrity': 'IntegrityMonitor'
+    };
+
+    /**
+     * 为采集任务加上超时，超时结果为 'err_timeout' (原任务不会被取消，静态采集器仍会在完成后写入缓存)
+     * @private
+     */
+    function _withTimeout(task, timeoutMs) {
+        if (!timeoutMs) {
+            return task;
+        }
+        let timer;
+        const timeout = new Promise((resolve) => {
+            timer = setTimeout(() => resolve('err_timeout'), timeoutMs);
+        });
+        return Promise.race([task, timeout]).finally(() => clearTimeout(timer));
+    }
+
+    /**
+     * 安全执行一个注册的采集器: 出错返回 `err_<name>`，超时返回 'err_timeout'
+     * @private
+     */
+    function _runRegisteredCollector(definition) {
+        let task;
+        try {
+            task = Promise.resolve(definition.fn()).catch(() => `err_${definition.name}`);
+        } catch (e) {
+            return Promise.resolve(`err_${definition.name}`);
+        }
+        return _withTimeout(task, definition.timeout);
+    }
+
+    /**
+     * 获取静态采集器的缓存条目，首次调用时开始计算
+     * @private
+     */
+    function _getStaticEntry(name) {
+        if (!staticResults.has(name)) {
+            const entry = { task: null, settled: false, timedOut: false };
+            try {
+                entry.task = Promise.resolve(builtinCollectors[name]()).catch(() => `err_${name}`);
+            } catch (e) {
+                entry.task = Promise.resolve(`err_${name}`);
+            }
+            entry.task.then(() => { entry.settled = true; });
+            staticResults.set(name, entry);
+        }
+        return staticResults.get(name);
+    }
+
+    /**
+     * 执行一个内置采集器: 静态采集器复用缓存，动态采集器实时执行，均受超时限制，出错返回 `err_<name>`
+     * @private
+     */
+    function _runBuiltinCollector(name) {
+        const timeoutMs = COLLECTOR_TIMEOUTS_MS[name] || DEFAULT_COLLECTOR_TIMEOUT_MS;
+        if (STATIC_COLLECTORS.includes(name)) {
+            const entry = _getStaticEntry(name);
+            if (entry.timedOut && !entry.settled) {
+                // 已超时且仍未完成，后续请求不再重复等待
+                return Promise.resolve('err_timeout');
+            }
+            return _withTimeout(entry.task, timeoutMs).then((result) => {
+                if (result === 'err_timeout' && !entry.settled) {
+                    entry.timedOut = true;
+                }
+                return result;
+            });
+        }
+        let task;
+        try {
+            task = Promise.resolve(builtinCollectors[name]()).catch(() => `err_${name}`);
+        } catch (e) {
+            return Promise.resolve(`err_${name}`);
+        }
+        return _withTimeout(task, timeoutMs);
+    }
+
+    /**
+     * 在浏览器空闲时执行任务，不支持 requestIdleCallback 时退回 setTimeout
+     * @private
+     */
+    function _runWhenIdle(task) {
+        if (typeof window.requestIdleCallback === 'function') {
+            window.requestIdleCallback(task, { timeout: IDLE_CALLBACK_TIMEOUT_MS });
+        } else {
+            setTimeout(task, 0);
+        }
+    }
+
     // --- 公共接口 ---
 
+    /**
+     * 注册一个自定义采集器
+     * @param {string} name - 采集器名称，同时作为采集结果与权重的键
+     * @param {function} fn - 采集函数，可返回 Promise
+     * @param {object} [options]
+     * @param {number} [options.weight=0] - 风险评分权重，传给 score 钩子
+     * @param {number} [options.timeout=1000] - 超时 (毫秒)，必须为正数，超时结果为 'err_timeout'
+     * @param {function} [options.capability] - () => boolean，策略生成时判断当前环境是否执行该采集器
+     * @param {boolean} [options.includeInFingerprint=false] - 是否将采集结果加入签名的指纹 JSON
+     * @param {function} [options.score] - (value, { weight, data }) => number，返回计入风险分的分值
+     * @param {string} [options.level='full'] - 执行所需的采集级别 ('essential' | 'standard' | 'full')
+     * @public
+     */
+    function registerCollector(name, fn, options) {
+        const opts = options || {};
+        if (typeof name !== 'string' || !/^[a-z][a-z0-9_]*$/i.test(name)) {
+            throw new Error(`[HiveHyde] DataLoom: Invalid collector name "${name}".`);
+        }
+        if (builtinCollectors[name] || RESERVED_NAMES.includes(name) || registeredCollectors.has(name)) {
+            throw new Error(`[HiveHyde] DataLoom: Collector "${name}" is already registered.`);
+        }
+        if (typeof fn !== 'function') {
+            throw new Error(`[HiveHyde] DataLoom: Collector "${name}" must be a function.`);
+        }
+        if (opts.score !== undefined && typeof opts.score !== 'function') {
+            throw new Error(`[HiveHyde] DataLoom: The score hook of collector "${name}" must be a function.`);
+        }
+        if (opts.timeout !== undefined && !(typeof opts.timeout === 'number' && opts.timeout > 0)) {
+            throw new Error(`[HiveHyde] DataLoom: The timeout of collector "${name}" must be a positive number.`);
+        }
+        if (opts.level !== undefined && !COLLECTION_LEVELS.includes(opts.level)) {
+            throw new Error(`[HiveHyde] DataLoom: Invalid level "${opts.level}" for collector "${name}".`);
+        }
+
+        registeredCollectors.set(name, {
+            name,
+            fn,
+            weight: typeof opts.weight === 'number' ? opts.weight : 0,
+            timeout: opts.timeout || DEFAULT_COLLECTOR_TIMEOUT_MS,
+            capability: typeof opts.capability === 'function' ? opts.capability : null,
+            includeInFingerprint: opts.includeInFingerprint === true,
+            score: opts.score || null,
+            level: opts.level || DEFAULT_CUSTOM_COLLECTOR_LEVEL
+        });
+        registryRevision++;
+        console.log(`[HiveHyde] DataLoom: Collector "${name}" registered.`);
+    }
+
+    /**
+     * 设置采集级别。降低级别时丢弃不再允许的缓存结果与轨迹数据。
+     * @param {string} level - 'essential' | 'standard' | 'full'
+     * @public
+     */
+    function setCollectionLevel(level) {
+        if (!COLLECTION_LEVELS.includes(level)) {
+            throw new Error(`[HiveHyde] DataLoom: Invalid collection level "${level}". Expected one of: ${COLLECTION_LEVELS.join(', ')}.`);
+        }
+        collectionLevel = level;
+        for (const name of Array.from(staticResults.keys())) {
+            if (!isCollectorAllowed(name)) {
+                staticResults.delete(name);
+            }
+        }
+        if (!isCollectorAllowed('mouse_trajectory')) {
+            mouseTrajectory.length = 0;
+        }
+        if (!isCollectorAllowed('interaction')) {
+            _resetInteraction();
+        }
+        if (!isCollectorAllowed('platform')) {
+            lastMousePosition.c = 0;
+        }
+        _syncListeners();
+        console.log(`[HiveHyde] DataLoom: Collection level set to "${level}".`);
+    }
+
+    /**
+     * 获取当前采集级别
+     * @returns {string}
+     * @public
+     */
+    function getCollectionLevel() {
+        return collectionLevel;
+    }
+
+    /**
+     * 判断采集器在当前级别下是否允许执行
+     * @param {string} name - 采集器名称
+     * @returns {boolean}
+     * @public
+     */
+    function isCollectorAllowed(name) {
+        const required = registeredCollectors.has(name)
+            ? registeredCollectors.get(name).level
+            : (COLLECTOR_LEVELS[name] || DEFAULT_CUSTOM_COLLECTOR_LEVEL);
+        return COLLECTION_LEVELS.indexOf(required) <= COLLECTION_LEVELS.indexOf(collectionLevel);
+    }
+
+    /**
+     * 获取已注册的采集器定义，供策略调度器与风险评分引擎使用
+     * @returns {{revision: number, collectors: Array<object>}}
+     * @public
+     */
+    function getCollectorRegistry() {
+        return { revision: registryRevision, collectors: Array.from(registeredCollectors.values()) };
+    }
+
+    /**
+     * 判断采集器是否存在且所依赖的可选模块 (如 honeypot.js) 已加载
+     * @param {string} name - 采集器名称
+     * @returns {boolean}
+     * @public
+     */
+    function isCollectorAvailable(name) {
+        if (registeredCollectors.has(name)) {
+            return true;
+        }
+        if (!Object.prototype.hasOwnProperty.call(builtinCollectors, name)) {
+            return false;
+        }
+        const dependency = BUILTIN_DEPENDENCIES[name];
+        return !dependency || !!HiveHyde[dependency];
+    }
+
+    /**
+     * 在空闲时间预先计算策略中的静态指纹，之后的 gather 直接复用结果。
+     * 每个采集器占用一个独立的空闲回调，避免形成长任务。
+     * @param {string[]} collectorNames - 策略中的采集器列表
+     * @public
+     */
+    function precompute(collectorNames) {
+        const pending = collectorNames.filter(name => STATIC_COLLECTORS.includes(name) && isCollectorAllowed(name) && !staticResults.has(name));
+        pending.forEach((name) => {
+            _runWhenIdle(() => {
+                _getStaticEntry(name);
+            });
+        });
+        if (pending.length > 0) {
+            console.log(`[HiveHyde] DataLoom: Precomputing static fingerprints in idle time: ${pending.join(', ')}`);
+        }
+    }
+
+    /**
+     * 把固定长度样本数组当作滑动窗口使用
+     * @private
+     */
+    function _pushSample(samples, value) {
+        samples.push(value);
+        if (samples.length > MAX_KEY_SAMPLES) {
+            samples.shift();
+        }
+    }
+
+    /**
+     * 统计伪造事件: 脚本 dispatchEvent 派发的事件 isTrusted 为 false，这类事件只计数，不进入其他统计
+     * @private
+     */
+    function _isTrusted(e) {
+        if (e.isTrusted === false) {
+            if (isCollectorAllowed('interaction')) {
+                interaction.untrusted++;
+            }
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * 清空交互统计 (降低采集级别后不再保留)
+     * @private
+     */
+    function _resetInteraction() {
+        interaction.pointerMoves = { mouse: 0, touch: 0, pen: 0 };
+        interaction.pointerDowns = 0;
+        interaction.keyDowns = 0;
+        interaction.keyDwells = [];
+        interaction.keyFlights = [];
+        interaction.lastKeyDownAt = 0;
+        interaction.scrolls = 0;
+        interaction.scrollDistance = 0;
+        interaction.blurs = 0;
+        interaction.hiddenCount = 0;
+        interaction.untrusted = 0;
+        pressedKeys.clear();
+    }
+
+    /**
+     * 登记一个行为监听，collectors 中任一采集器在当前级别下允许执行时才挂载
+     * @private
+     */
+    function _listen(collectors, target, type, handler, options) {
+        listeners.push({ collectors, target, type, handler, options, attached: false });
+    }
+
+    /**
+     * 按当前采集级别挂载或移除行为监听
+     * @private
+     */
+    function _syncListeners() {
+        if (!listenersStarted) {
+            return;
+        }
+        for (const entry of listeners) {
+            const allowed = entry.collectors.some(isCollectorAllowed);
+            if (allowed && !entry.attached) {
+                entry.target.addEventListener(entry.type, entry.handler, entry.options);
+                entry.attached = true;
+            } else if (!allowed && entry.attached) {
+                entry.target.removeEventListener(entry.type, entry.handler, entry.options);
+                entry.attached = false;
+            }
+        }
+        if (isCollectorAllowed('interaction') && !interaction.startedAt) {
+            interaction.startedAt = Date.now();
+            interaction.lastScrollY = window.scrollY || 0;
+        } else if (!isCollectorAllowed('interaction')) {
+            interaction.startedAt = 0;
+        }
+    }
+
+    /**
+     * 开始监听指针、键盘、滚动与焦点事件。监听只在对应采集器 (交互统计、指针轨迹、点击数) 获得同意后挂载，
+     * 之后随 setCollectionLevel 补挂或移除。由 core_engine 在初始化时调用。
+     * @public
+     */
     function startListeners() {
-        document.addEventListener('mousemove', (e) => {
-            if (Date.now() - lastMousePosition.t > 100) {
+        if (listenersStarted) {
+            return;
+        }
+        listenersStarted = true;
+
+        // 支持 Pointer Events 时统一采集鼠标、触摸与手写笔，否则退回 mousemove
+        const supportsPointer = typeof window.PointerEvent === 'function';
+        _listen(['interaction', 'mouse_trajectory'], document, supportsPointer ? 'pointermove' : 'mousemove', (e) => {
+            if (!_isTrusted(e)) return;
+            const pointerType = e.pointerType || 'mouse';
+            if (isCollectorAllowed('interaction') && pointerType in interaction.pointerMoves) {
+                interaction.pointerMoves[pointerType]++;
+            }
+            if (isCollectorAllowed('mouse_trajectory') && Date.now() - lastMousePosition.t > POINTER_SAMPLE_INTERVAL_MS) {
                 lastMousePosition = { x: e.clientX, y: e.clientY, t: Date.now(), c: lastMousePosition.c };
-                if (mouseTrajectory.length < 50) {
-                    mouseTrajectory.push([e.clientX, e.clientY, Date.now()]);
+                mouseTrajectory.push([e.clientX, e.clientY, Date.now()]);
+                if (mouseTrajectory.length > MAX_TRAJECTORY_POINTS) {
+                    mouseTrajectory.shift();
                 }
             }
         }, { passive: true });
-        document.addEventListener('click', () => { lastMousePosition.c++; }, { passive: true });
+        _listen(['interaction'], document, supportsPointer ? 'pointerdown' : 'mousedown', (e) => {
+            if (!_isTrusted(e)) return;
+            interaction.pointerDowns++;
+        }, { passive: true });
+        _listen(['platform'], document, 'click', (e) => {
+            if (!_isTrusted(e)) return;
+            lastMousePosition.c++;
+        }, { passive: true });
+
+        // 键盘节奏: 只记录时间，event.code 仅用于配对按下与抬起
+        _listen(['interaction'], document, 'keydown', (e) => {
+            if (!_isTrusted(e) || e.repeat) return;
+            const now = Date.now();
+            interaction.keyDowns++;
+            if (interaction.lastKeyDownAt) {
+                _pushSample(interaction.keyFlights, now - interaction.lastKeyDownAt);
+            }
+            interaction.lastKeyDownAt = now;
+            pressedKeys.set(e.code, now);
+        }, { passive: true, capture: true });
+        _listen(['interaction'], document, 'keyup', (e) => {
+            if (!_isTrusted(e)) return;
+            const pressedAt = pressedKeys.get(e.code);
+            pressedKeys.delete(e.code);
+            if (pressedAt !== undefined && Date.now() - pressedAt <= MAX_KEY_DWELL_MS) {
+                _pushSample(interaction.keyDwells, Date.now() - pressedAt);
+            }
+        }, { passive: true, capture: true });
+
+        _listen(['interaction'], window, 'scroll', () => {
+            const scrollY = window.scrollY || 0;
+            interaction.scrolls++;
+            interaction.scrollDistance += Math.abs(scrollY - interaction.lastScrollY);
+            interaction.lastScrollY = scrollY;
+        }, { passive: true });
+        _listen(['interaction'], window, 'blur', () => {
+            interaction.blurs++;
+            pressedKeys.clear(); // 失焦后收不到 keyup
+        });
+        _listen(['interaction'], document, 'visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                interaction.hiddenCount++;
+            }
+        });
+        _syncListeners();
     }
 
     async function gather(collectorsToRun) {
         const results = {};
-        const collectorMap = {
-            'canvas': _getCanvasFingerprint,
-            'webgl': _getWebGLFingerprint,
-            'audio': _getAudioFingerprint,
-            'platform': _getPlatformInfo,
-            'screen': _getScreenAndLangInfo,
-            'performance': _getPerformanceInfo,
-            'mouse_trajectory': _getMouseTrajectory,
-            'anomaly_scan': HiveHyde.AnomalyScan.run,
-        };
         const promises = [];
         const promiseKeys = [];
         for (const key of collectorsToRun) {
-            if (collectorMap[key]) {
-                promises.push(Promise.resolve(collectorMap[key]()));
+            if (!isCollectorAllowed(key)) {
+                continue; // 策略之外的兜底: 未获同意的采集器永不执行
+            }
+            if (builtinCollectors[key]) {
+                promises.push(_runBuiltinCollector(key));
+                promiseKeys.push(key);
+            } else if (registeredCollectors.has(key)) {
+                promises.push(_runRegisteredCollector(registeredCollectors.get(key)));
                 promiseKeys.push(key);
             }
         }
@@ -272,7 +894,15 @@
 
     HiveHyde.DataLoom = {
         gather,
-        startListeners
+        startListeners,
+        precompute,
+        registerCollector,
+        getCollectorRegistry,
+        isCollectorAvailable,
+        COLLECTION_LEVELS,
+        setCollectionLevel,
+        getCollectionLevel,
+        isCollectorAllowed
     };
 
 })(window);
\ No newline at end of file
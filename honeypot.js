@@ -0,0 +1,279 @@
+/**
+ * HiveHyde Anti-Crawler System - Honeypot
+ *
+ * 功能:
+ * 1. 向受保护的表单注入隐藏的诱饵输入框与链接。诱饵位于可视区域之外，带 aria-hidden 且不可通过 Tab 聚焦，
+ *    真实用户与辅助技术都不会接触；按选择器批量填表或点击的脚本则会命中。
+ * 2. 识别伪造事件: 脚本在受保护的表单 (含诱饵) 内派发的 isTrusted === false 的点击、输入、提交等事件，
+ *    以及之前几乎没有指针移动、却恰好落在元素正中心的点击 (自动化框架的 element.click() / page.click())。
+ * 3. 汇总为具名异常 (field_filled、field_focused、link_clicked、synthetic_events、centered_clicks)，
+ *    通过 DataLoom 的 honeypot 采集器交给 RiskMatrix 按规则集评分。
+ *
+ * 统计在页面会话内累计，不随请求清空。
+ *
+ * @version 1.0
+ */
+(function(window) {
+    'use strict';
+
+    const HiveHyde = window.HiveHyde || (window.HiveHyde = {});
+
+    // --- 配置常量 ---
+    const PROTECTED_ATTRIBUTE = 'data-hive-honeypot';   // 已注入诱饵的表单标记
+    const AUTO_PROTECT_SELECTOR = '[data-hive-protect]'; // startListeners 时自动保护的表单或容器
+    const DEFAULT_FIELD_NAME = 'website';
+    const DEFAULT_LINK_HREF = '/hive-trap';
+    // 不使用 display:none / visibility:hidden，避免脚本按可见性过滤掉诱饵
+    const HIDDEN_STYLE = 'position:absolute;left:-10000px;top:auto;width:1px;height:1px;overflow:hidden;opacity:0;';
+    const SYNTHETIC_EVENT_TYPES = ['click', 'mousedown', 'pointerdown', 'keydown', 'input', 'change', 'focusin', 'submit'];
+    const CENTER_TOLERANCE_PX = 0.5;  // 与元素中心的距离不超过该值视为正中心
+    const MIN_TARGET_SIZE_PX = 8;     // 过小的元素点中中心是常态，不做判断
+    const APPROACH_WINDOW_MS = 1000;  // 点击前统计指针移动的时间窗口
+    const MIN_APPROACH_MOVES = 3;     // 窗口内的指针移动少于该值视为“瞬移”到目标
+    const LISTENER_COLLECTOR = 'interaction'; // 文档级指针与键盘监听与交互统计需要相同的采集级别
+
+    // --- 内部状态 ---
+    const traps = {
+        forms: 0,
+        fieldFilled: false,
+        fieldFocused: false,
+        linkClicked: false,
+        syntheticEvents: 0,
+        syntheticTypes: new Set(),
+        centeredClicks: 0,
+        clicks: 0
+    };
+    const trapFields = [];   // 已注入的诱饵输入框，汇总时检查是否被直接赋值
+    const recentMoves = [];  // 最近的可信指针移动时间
+    let lastPointerType = 'mouse';
+    let isListening = false;
+    const listeners = [];    // 文档级监听: [type, handler, options]
+    let listenersAttached = false;
+
+    // --- 私有函数 ---
+
+    function _markFilled(field) {
+        if (field.value !== '') {
+            traps.fieldFilled = true;
+        }
+    }
+
+    /**
+     * 构建诱饵容器: 一个输入框 (附带提示不要填写的标签) 与一个链接
+     * @private
+     */
+    function _createTrap(options) {
+        const container = document.createElement('div');
+        container.style.cssText = HIDDEN_STYLE;
+        container.setAttribute('aria-hidden', 'true');
+
+        const label = document.createElement('label');
+        label.textContent = '请勿填写此项';
+        const field = document.createElement('input');
+        field.type = 'text';
+        field.name = options.fieldName || DEFAULT_FIELD_NAME;
+        field.value = '';
+        field.tabIndex = -1;
+        field.setAttribute('autocomplete', 'off');
+        label.appendChild(field);
+
+        const link = document.createElement('a');
+        link.href = options.linkHref || DEFAULT_LINK_HREF;
+        link.tabIndex = -1;
+        link.textContent = options.linkText || '查看详情';
+
+        field.addEventListener('input', () => _markFilled(field));
+        field.addEventListener('focus', () => {
+            traps.fieldFocused = true;
+        });
+        link.addEventListener('click', (e) => {
+            traps.linkClicked = true;
+            e.preventDefault();
+        });
+
+        container.appendChild(label);
+        container.appendChild(link);
+        return { container, field };
+    }
+
+    function _recordMove() {
+        const now = Date.now();
+        recentMoves.push(now);
+        while (recentMoves.length > 0 && now - recentMoves[0] > APPROACH_WINDOW_MS) {
+            recentMoves.shift();
+        }
+    }
+
+    /**
+     * 可信的鼠标点击恰好落在目标元素正中心，且之前几乎没有指针移动
+     * @private
+     */
+    function _isCenteredClick(e) {
+        const target = e.target;
+        if (!target || typeof target.getBoundingClientRect !== 'function') {
+            return false;
+        }
+        const rect = target.getBoundingClientRect();
+        if (rect.width < MIN_TARGET_SIZE_PX || rect.height < MIN_TARGET_SIZE_PX) {
+            return false;
+        }
+        const now = Date.now();
+        const approachMoves = recentMoves.filter(t => now - t <= APPROACH_WINDOW_MS).length;
+        return Math.abs(e.clientX - (rect.left + rect.width / 2)) <= CENTER_TOLERANCE_PX
+            && Math.abs(e.clientY - (rect.top + rect.height / 2)) <= CENTER_TOLERANCE_PX
+            && approachMoves < MIN_APPROACH_MOVES;
+    }
+
+    function _onClick(e) {
+        // detail 为 0 表示由键盘 (Enter / 空格) 触发，触摸与手写笔点击前本来就没有移动
+        const pointerType = e.pointerType || lastPointerType;
+        if (e.isTrusted === false || e.detail === 0 || pointerType !== 'mouse') {
+            return;
+        }
+        traps.clicks++;
+        if (_isCenteredClick(e)) {
+            traps.centeredClicks++;
+        }
+    }
+
+    /**
+     * 事件目标是否位于受保护的表单或容器内 (诱饵也注入在其中)。
+     * 站点自身的脚本常在页面其他位置派发事件 (组件库、埋点)，这类事件不计入。
+     * @private
+     */
+    function _isProtectedTarget(target) {
+        return !!target && typeof target.closest === 'function' && target.closest(`[${PROTECTED_ATTRIBUTE}]`) !== null;
+    }
+
+    function _onSyntheticEvent(e) {
+        if (e.isTrusted === false && _isProtectedTarget(e.target)) {
+            traps.syntheticEvents++;
+            traps.syntheticTypes.add(e.type);
+        }
+    }
+
+    /**
+     * 当前采集级别是否允许文档级的指针与键盘监听 (未加载 DataLoom 时不做限制)
+     * @private
+     */
+    function _listenersAllowed() {
+        return !HiveHyde.DataLoom || HiveHyde.DataLoom.isCollectorAllowed(LISTENER_COLLECTOR);
+    }
+
+    /**
+     * 按当前采集级别挂载或移除文档级监听
+     * @private
+     */
+    function _syncListeners() {
+        const allowed = _listenersAllowed();
+        if (allowed === listenersAttached) {
+            return;
+        }
+        for (const [type, handler, options] of listeners) {
+            if (allowed) {
+                document.addEventListener(type, handler, options);
+            } else {
+                document.removeEventListener(type, handler, options);
+            }
+        }
+        if (!allowed) {
+            recentMoves.length = 0;
+        }
+        listenersAttached = allowed;
+    }
+
+    // --- 公共接口 ---
+
+    /**
+     * 为表单 (或包含输入项的容器) 注入诱饵。重复调用不会重复注入。
+     * 诱饵输入框会随原生表单提交 (值为空)，后端也可以把非空值视为命中。
+     * @param {HTMLElement|string} target - 表单元素、容器或选择器
+     * @param {object} [options]
+     * @param {string} [options.fieldName='website'] - 诱饵输入框的 name，宜选择爬虫会主动填写的名称
+     * @param {string} [options.linkHref='/hive-trap'] - 诱饵链接地址，后端可记录访问该地址的来源
+     * @param {string} [options.linkText] - 诱饵链接文字
+     * @returns {number} - 本次新保护的表单数
+     * @public
+     */
+    function protect(target, options) {
+        if (typeof document === 'undefined') {
+            return 0;
+        }
+        const forms = typeof target === 'string' ? Array.from(document.querySelectorAll(target)) : [target];
+        let count = 0;
+        for (const form of forms) {
+            if (!form || typeof form.appendChild !== 'function' || form.getAttribute(PROTECTED_ATTRIBUTE) !== null) {
+                continue;
+            }
+            const { container, field } = _createTrap(options || {});
+            form.appendChild(container);
+            form.setAttribute(PROTECTED_ATTRIBUTE, '');
+            form.addEventListener('submit', () => _markFilled(field), { capture: true });
+            trapFields.push(field);
+            traps.forms++;
+            count++;
+        }
+        return count;
+    }
+
+    /**
+     * 保护页面上带 data-hive-protect 属性的表单或容器，并开始监听伪造事件与点击。由 core_engine 在初始化时调用。
+     * 诱饵不依赖采集级别；文档级的指针与键盘监听只在交互统计 (interaction) 获得同意后挂载，
+     * 采集级别变化后再次调用即按新级别补挂或移除。
+     * @public
+     */
+    function startListeners() {
+        if (!isListening) {
+            isListening = true;
+
+            const options = { passive: true, capture: true };
+            for (const type of SYNTHETIC_EVENT_TYPES) {
+                listeners.push([type, _onSyntheticEvent, options]);
+            }
+            const supportsPointer = typeof window.PointerEvent === 'function';
+            listeners.push([supportsPointer ? 'pointermove' : 'mousemove', (e) => {
+                if (e.isTrusted !== false) _recordMove();
+            }, options]);
+            listeners.push([supportsPointer ? 'pointerdown' : 'mousedown', (e) => {
+                if (e.isTrusted !== false) lastPointerType = e.pointerType || 'mouse';
+            }, options]);
+            listeners.push(['click', _onClick, options]);
+
+            protect(AUTO_PROTECT_SELECTOR);
+        }
+        _syncListeners();
+    }
+
+    /**
+     * 汇总蜜罐命中情况
+     * @returns {object} - { protected_forms, field_filled, field_focused, link_clicked, synthetic_events,
+     *                      synthetic_types, centered_clicks, clicks, anomalies }，anomalies 列出命中的异常名称
+     * @public
+     */
+    function report() {
+        // 脚本直接给 value 赋值不会触发 input 事件
+        trapFields.forEach(_markFilled);
+
+        const result = {
+            protected_forms: traps.forms,
+            field_filled: traps.fieldFilled,
+            field_focused: traps.fieldFocused,
+            link_clicked: traps.linkClicked,
+            synthetic_events: traps.syntheticEvents,
+            synthetic_types: Array.from(traps.syntheticTypes),
+            centered_clicks: traps.centeredClicks,
+            clicks: traps.clicks
+        };
+        result.anomalies = ['field_filled', 'field_focused', 'link_clicked', 'synthetic_events', 'centered_clicks']
+            .filter(name => !!result[name]);
+        return result;
+    }
+
+    // --- 暴露接口 ---
+    HiveHyde.Honeypot = {
+        protect,
+        startListeners,
+        report
+    };
+
+})(window);
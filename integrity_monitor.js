@@ -0,0 +1,188 @@
+/**
+ * HiveHyde Anti-Crawler System - Integrity Monitor
+ *
+ * 功能:
+ * 1. 加载时记录关键函数的引用: fetch、XMLHttpRequest、crypto.subtle、Function.prototype.toString 与 CryptoJS。
+ * 2. 通过 seal 记录 HiveHyde 各模块对象及其方法的引用 (由 core_engine 在加载与初始化时调用)。
+ * 3. 每次检查时对比当前引用与记录的引用，识别之后的替换或 Proxy 包装 (如 console_debug.js 对 CipherForge.hmacSha256 的挂钩)；
+ *    加载时已不是原生实现的浏览器函数同样记为异常。
+ * 4. 检查结果通过 DataLoom 的 integrity 采集器参与评分，并写入签名指纹的 integrity 字段。
+ *
+ * 异常一经发现即在页面会话内保留，挂钩后再恢复原函数也不会清除。
+ * ApiSentinel 包装 fetch / XMLHttpRequest 时通过 adopt 登记自己的实现，不会被误判。
+ * 本模块应在 crypto-js 之后、其他 HiveHyde 模块之前加载，才能记录到未被修改的原始引用。
+ *
+ * @version 1.0
+ */
+(function(window) {
+    'use strict';
+
+    const HiveHyde = window.HiveHyde || (window.HiveHyde = {});
+
+    // --- 配置常量 ---
+    // 浏览器原生函数: category 为 transport 的目标常被 APM / 错误监控 SDK 合法包装，评分时权重较低
+    const NATIVE_TARGETS = [
+        { name: 'window.fetch', category: 'transport', owner: () => window, key: 'fetch' },
+        // 构造函数本身: 保留原型的包装构造函数不会改动下面的原型方法
+        { name: 'window.XMLHttpRequest', category: 'transport', owner: () => window, key: 'XMLHttpRequest' },
+        { name: 'XMLHttpRequest.prototype.open', category: 'transport', owner: () => window.XMLHttpRequest && window.XMLHttpRequest.prototype, key: 'open' },
+        { name: 'XMLHttpRequest.prototype.send', category: 'transport', owner: () => window.XMLHttpRequest && window.XMLHttpRequest.prototype, key: 'send' },
+        { name: 'XMLHttpRequest.prototype.setRequestHeader', category: 'transport', owner: () => window.XMLHttpRequest && window.XMLHttpRequest.prototype, key: 'setRequestHeader' },
+        { name: 'Function.prototype.toString', category: 'critical', owner: () => Function.prototype, key: 'toString' },
+        // 通过 crypto.subtle 实例读取，原型与实例上的修改都能发现
+        { name: 'crypto.subtle.importKey', category: 'critical', owner: () => window.crypto && window.crypto.subtle, key: 'importKey' },
+        { name: 'crypto.subtle.sign', category: 'critical', owner: () => window.crypto && window.crypto.subtle, key: 'sign' },
+        { name: 'crypto.subtle.digest', category: 'critical', owner: () => window.crypto && window.crypto.subtle, key: 'digest' },
+        { name: 'crypto.subtle.encrypt', category: 'critical', owner: () => window.crypto && window.crypto.subtle, key: 'encrypt' },
+        { name: 'crypto.getRandomValues', category: 'critical', owner: () => window.crypto, key: 'getRandomValues' }
+    ];
+    // cipher_forge.js 回退时使用的 CryptoJS 函数
+    const CRYPTOJS_PATHS = ['HmacSHA256', 'SHA256', 'AES.encrypt', 'lib.WordArray.create', 'lib.WordArray.random'];
+    const SEALED_MODULES = ['IntegrityMonitor', 'CipherForge', 'TabRelay', 'SessionVault', 'DataLoom', 'TrajectoryModel', 'Honeypot',
+        'AnomalyScan', 'RiskRules', 'RiskMatrix', 'ChallengeGate', 'ApiSentinel'];
+    const NATIVE_CODE_PATTERN = /\{\s*\[native code\]\s*\}\s*$/;
+
+    // --- 内部状态 ---
+    const nativeToString = Function.prototype.toString; // 之后被替换也不影响原生判断
+    const targets = new Map();   // 名称 -> { category, read, expected }
+    const replaced = new Map();  // 名称 -> category，页面会话内保留
+    const nonNative = new Map(); // 名称 -> category
+
+    // --- 私有函数 ---
+
+    function _isNative(fn) {
+        try {
+            return NATIVE_CODE_PATTERN.test(nativeToString.call(fn));
+        } catch (e) {
+            return false; // Proxy 的 handler 抛出异常等情况
+        }
+    }
+
+    function _readPath(root, path) {
+        return path.split('.').reduce((node, key) => (node === undefined || node === null ? undefined : node[key]), root);
+    }
+
+    /**
+     * 记录一个目标的当前引用，已记录的目标不会被覆盖
+     * @private
+     */
+    function _track(name, category, read) {
+        if (targets.has(name)) {
+            return null;
+        }
+        let expected;
+        try {
+            expected = read();
+        } catch (e) {
+            return null;
+        }
+        if (expected === undefined || expected === null) {
+            return null;
+        }
+        targets.set(name, { category, read, expected });
+        return expected;
+    }
+
+    function _captureNatives() {
+        for (const target of NATIVE_TARGETS) {
+            const value = _track(target.name, target.category, () => {
+                const owner = target.owner();
+                return owner ? owner[target.key] : undefined;
+            });
+            if (typeof value === 'function' && !_isNative(value)) {
+                nonNative.set(target.name, target.category);
+            }
+        }
+        if (typeof window.CryptoJS !== 'undefined') {
+            _track('CryptoJS', 'critical', () => window.CryptoJS);
+            for (const path of CRYPTOJS_PATHS) {
+                _track(`CryptoJS.${path}`, 'critical', () => _readPath(window.CryptoJS, path));
+            }
+        }
+    }
+
+    // --- 公共接口 ---
+
+    /**
+     * 记录已加载的 HiveHyde 模块对象、模块方法以及命名空间上的函数 (如 processRequest)。
+     * 可多次调用，只补充尚未记录的目标。
+     * @public
+     */
+    function seal() {
+        for (const moduleName of SEALED_MODULES) {
+            const module = HiveHyde[moduleName];
+            if (!module || typeof module !== 'object') {
+                continue;
+            }
+            _track(`HiveHyde.${moduleName}`, 'critical', () => HiveHyde[moduleName]);
+            for (const key of Object.keys(module)) {
+                if (typeof module[key] === 'function') {
+                    _track(`HiveHyde.${moduleName}.${key}`, 'critical', () => HiveHyde[moduleName][key]);
+                }
+            }
+        }
+        for (const key of Object.keys(HiveHyde)) {
+            if (typeof HiveHyde[key] === 'function') {
+                _track(`HiveHyde.${key}`, 'critical', () => HiveHyde[key]);
+            }
+        }
+    }
+
+    /**
+     * HiveHyde 自身替换某个目标 (如 ApiSentinel 包装 fetch) 后登记新的实现。
+     * 替换前的值与记录不一致时，说明在包装之前已被他人修改，记为异常。
+     * @param {string} name - 目标名称，如 'window.fetch'
+     * @param {function} value - 新的实现
+     * @param {function} previous - 被替换的实现
+     * @public
+     */
+    function adopt(name, value, previous) {
+        const target = targets.get(name);
+        if (!target) {
+            return;
+        }
+        if (previous !== target.expected) {
+            replaced.set(name, target.category);
+        }
+        target.expected = value;
+    }
+
+    /**
+     * 对比所有目标的当前引用
+     * @returns {{tampered: boolean, critical: boolean, transport: boolean, replaced: string[], non_native: string[], checked: number}}
+     *          critical / transport 表示对应类别中是否有异常
+     * @public
+     */
+    function check() {
+        for (const [name, target] of targets) {
+            let current;
+            try {
+                current = target.read();
+            } catch (e) {
+                current = e; // getter 抛出异常同样视为被修改
+            }
+            if (current !== target.expected) {
+                replaced.set(name, target.category);
+            }
+        }
+        const categories = new Set([...replaced.values(), ...nonNative.values()]);
+        return {
+            tampered: categories.size > 0,
+            critical: categories.has('critical'),
+            transport: categories.has('transport'),
+            replaced: Array.from(replaced.keys()),
+            non_native: Array.from(nonNative.keys()),
+            checked: targets.size
+        };
+    }
+
+    _captureNatives();
+
+    // --- 暴露接口 ---
+    HiveHyde.IntegrityMonitor = {
+        seal,
+        adopt,
+        check
+    };
+
+})(window);
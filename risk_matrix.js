@@ -2,10 +2,13 @@
  * HiveHyde Anti-Crawler System - Risk Matrix
  *
  * 功能:
- * 1. 接收所有采集到的数据和动态权重，进行风险评分。
+ * 1. 接收所有采集到的数据和动态权重，按 RiskRules 的规则集进行风险评分，
+ *    命中的规则、各规则分值与策略版本随指纹一起加密并参与签名，供后端审计。
  * 2. 将所有关键信息进行严格的、有序的序列化。
- * 3. 使用会话密钥生成HMAC-SHA256签名并对指纹进行AES加密。
+ * 3. 使用会话密钥生成HMAC-SHA256签名并对指纹进行AES加密 (通过 CipherForge，优先使用 SubtleCrypto)。
  * 4. 封装并返回一个包含所有待发送安全信息的包。
+ * 5. 为每个请求提供绑定其签名密钥与 Nonce 的响应签名校验函数。
+ * 6. 由稳定的指纹组件计算设备标识 (visitorId) 及各组件的稳定性，随指纹一起签名，供后端按设备限流。
  *
  * @version 1.0
  */
@@ -13,11 +16,79 @@
     'use strict';
     const HiveHyde = window.HiveHyde || (window.HiveHyde = {});
 
-    if (typeof CryptoJS === 'undefined') {
-        const errorMsg = '[HiveHyde] FATAL: CryptoJS library not found. Please include it before this script.';
+    if (!HiveHyde.RiskRules) {
+        const errorMsg = '[HiveHyde] FATAL: RiskRules module not found. Please include risk_rules.js before this script.';
         console.error(errorMsg);
         throw new Error(errorMsg);
     }
+    if (!HiveHyde.CipherForge) {
+        const errorMsg = '[HiveHyde] FATAL: CipherForge module not found. Please include cipher_forge.js before this script.';
+        console.error(errorMsg);
+        throw new Error(errorMsg);
+    }
+    const Forge = HiveHyde.CipherForge;
+
+    // --- 配置常量 ---
+    const EMPTY_BODY = '{}'; // 空请求体的签名表示
+
+    // --- 签名协议版本 ---
+    // v1: AES-256-CBC (IV = 密钥前16字节)，AES 与 HMAC 共用 session_key
+    // v2: 由 session_key 经 HKDF-SHA256 派生独立的加密密钥与签名密钥，每次请求使用随机 IV
+    // v3: 同 v2 的密钥派生，指纹改用 AES-256-GCM 认证加密 (需要 SubtleCrypto，不可用时降级为 v2)
+    const PROTOCOL_V1 = 1;
+    const PROTOCOL_V2 = 2;
+    const PROTOCOL_V3 = 3;
+    const SUPPORTED_PROTOCOL_VERSIONS = [PROTOCOL_V1, PROTOCOL_V2, PROTOCOL_V3];
+    const DEFAULT_PROTOCOL_VERSION = PROTOCOL_V1; // 保持与未升级的后端兼容，通过 initialize({ protocolVersion }) 切换
+    const HKDF_INFO = {
+        [PROTOCOL_V2]: { enc: 'hivehyde-v2-enc', mac: 'hivehyde-v2-mac' },
+        [PROTOCOL_V3]: { enc: 'hivehyde-v3-enc', mac: 'hivehyde-v3-mac' },
+    };
+
+    // --- 设备标识 (visitorId) ---
+    // 只使用在页面会话之间保持不变的指纹组件，点击数、性能、行为与异常扫描等易变数据不参与。
+    // stability 为组件的经验稳定性 (0-1)，越高越不容易随浏览器更新、外接显示器等变化。
+    const VISITOR_COMPONENTS = [
+        { name: 'canvas', stability: 0.9, read: d => d.canvas },
+        { name: 'webgl', stability: 0.95, read: d => (d.webgl && typeof d.webgl === 'object') ? `${d.webgl.vendor}|${d.webgl.renderer}` : d.webgl },
+        // 音频指纹是浮点累加和，末位会随渲染抖动
+        { name: 'audio', stability: 0.85, read: d => (d.audio && isFinite(d.audio)) ? Number(d.audio).toFixed(4) : d.audio },
+        { name: 'platform', stability: 0.99, read: d => d.platform && d.platform.platform },
+        { name: 'plugins', stability: 0.8, read: d => (d.platform && typeof d.platform.plugins === 'string') ? d.platform.plugins.split(',').sort().join(',') : undefined },
+        { name: 'touch_points', stability: 0.95, read: d => d.platform && d.platform.touchPoints },
+        // 宽高按大小排序，旋转屏幕不改变标识
+        { name: 'screen', stability: 0.7, read: d => {
+            const match = d.screen && typeof d.screen.screen === 'string' && d.screen.screen.match(/^(\d+)x(\d+)x(\d+)$/);
+            if (!match) return undefined;
+            const [width, height] = [Number(match[1]), Number(match[2])].sort((a, b) => b - a);
+            return `${width}x${height}x${match[3]}`;
+        } },
+        { name: 'language', stability: 0.8, read: d => (d.screen && typeof d.screen.language === 'string') ? d.screen.language.toLowerCase() : undefined },
+        { name: 'fonts', stability: 0.8, read: d => d.fonts && d.fonts.list },
+        { name: 'time_zone', stability: 0.75, read: d => d.intl && d.intl.timeZone },
+        { name: 'hardware', stability: 0.9, read: d => (d.hardware && typeof d.hardware === 'object') ? `${d.hardware.hardwareConcurrency}|${d.hardware.deviceMemory}` : d.hardware },
+        { name: 'media_codecs', stability: 0.85, read: d => (d.media_codecs && typeof d.media_codecs === 'object')
+            ? Object.keys(d.media_codecs).sort().map(codec => `${codec}:${d.media_codecs[codec]}`).join(',') : d.media_codecs }
+    ];
+    const VISITOR_ID_LENGTH = 32; // 截取的十六进制位数
+
+    // --- 指纹 schema ---
+    // 描述签名指纹 (rawFingerprintJson) 包含哪些字段: { version, fields: { 输出字段: 路径 | { path, hash, truncate, default } } }
+    // 可通过 initialize({ fingerprintSchema }) 或后端策略覆盖替换；schema / consent / visitor / integrity / risk 字段始终由本模块写入。
+    const DEFAULT_FINGERPRINT_SCHEMA = {
+        version: 1,
+        fields: {
+            platform: 'platform.platform',
+            renderer: 'webgl.renderer',
+            audio: 'audio'
+        }
+    };
+    const RESERVED_FINGERPRINT_FIELDS = ['schema', 'consent', 'visitor', 'integrity', 'risk'];
+    const ESSENTIAL_LEVEL = 'essential'; // 该级别下不计算设备标识
+    const FINGERPRINT_MISSING_VALUE = 'N/A';
+    const SCHEMA_HASHES = ['sha256'];
+
+    let derivedKeyCache = { sessionKey: null, keys: {} }; // 派生密钥缓存 (按版本)，session_key 变化时失效
 
     // --- 私有辅助函数 ---
 
@@ -47,88 +118,357 @@
     }
     
     /**
-     * 风险评分引擎 (模型调优版)
+     * 计算字节数组的 SHA-256 十六进制摘要
+     * @private
+     */
+    async function _sha256Hex(bytes) {
+        return Forge.bytesToHex(await Forge.sha256(bytes));
+    }
+
+    /**
+     * 读取 Blob/File 的全部字节
+     * @private
+     */
+    function _readBlobBytes(blob) {
+        if (typeof blob.arrayBuffer === 'function') {
+            return blob.arrayBuffer().then(buffer => new Uint8Array(buffer));
+        }
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(new Uint8Array(reader.result));
+            reader.onerror = () => reject(reader.error);
+            reader.readAsArrayBuffer(blob);
+        });
+    }
+
+    /**
+     * 将 JSON 值序列化为签名字符串。没有任何 key 的对象/数组统一为 "{}"。
+     * @private
+     */
+    function _serializeJsonValue(value) {
+        if (!value || Object.keys(value).length === 0) {
+            return EMPTY_BODY;
+        }
+        return _canonicalJsonStringify(value);
+    }
+
+    /**
+     * 序列化原始字节: 内容是 JSON 对象/数组时按 Canonical JSON 处理，
+     * 否则输出 `binary:<字节数>:<sha256>` 摘要。
+     * @private
+     */
+    async function _serializeBytes(bytes) {
+        if (bytes.length === 0) {
+            return EMPTY_BODY;
+        }
+        try {
+            const parsed = JSON.parse(new TextDecoder('utf-8', { fatal: true }).decode(bytes));
+            if (parsed !== null && typeof parsed === 'object') {
+                return _serializeJsonValue(parsed);
+            }
+        } catch (e) {
+            // 非 UTF-8 文本或非 JSON，按二进制处理
+        }
+        return `binary:${bytes.length}:${await _sha256Hex(bytes)}`;
+    }
+
+    function _normalizeNewlines(text) {
+        return text.replace(/\r\n|\r|\n/g, '\r\n');
+    }
+
+    /**
+     * 序列化键值对列表: 按 key 稳定排序 (同名 key 保持原有顺序)，再以 `&` 拼接。
+     * @param {Array} entries - [[key, encodedValue], ...]，value 已是最终形态
+     * @private
+     */
+    function _serializeEntries(entries) {
+        return entries
+            .slice()
+            .sort((a, b) => (a[0] < b[0] ? -1 : (a[0] > b[0] ? 1 : 0)))
+            .map(([key, value]) => `${encodeURIComponent(key)}=${value}`)
+            .join('&');
+    }
+
+    /**
+     * 请求体规范化层。规则必须与后端 server/body_canonical.js 保持一致:
+     * - 空 Body                        -> "{}"
+     * - 普通对象/数组                  -> Canonical JSON (key 按字母序排序)
+     * - 字符串/Blob/ArrayBuffer/TypedArray -> 内容为 JSON 对象/数组时同上，否则 `binary:<字节数>:<sha256>`
+     * - URLSearchParams                -> 按实际发送的 `k=v&...` 文本计算 `binary:` 摘要
+     * - FormData                       -> `multipart:k=v&k=@<文件名>;<字节数>;<sha256>&...` (key 稳定排序)
+     * @param {*} body - 请求体
+     * @returns {Promise<string>}
+     * @private
+     */
+    async function _serializeBody(body) {
+        if (body === undefined || body === null) {
+            return EMPTY_BODY;
+        }
+        if (typeof URLSearchParams !== 'undefined' && body instanceof URLSearchParams) {
+            // 表单按实际发送的 `k=v&...` 字节计算摘要，后端无需关心 key 顺序
+            return _serializeBytes(new TextEncoder().encode(body.toString()));
+        }
+        if (typeof FormData !== 'undefined' && body instanceof FormData) {
+            const entries = [];
+            for (const [key, value] of body.entries()) {
+                // multipart 编码会把名称与文本值中的换行统一为 CRLF，这里提前对齐
+                const name = _normalizeNewlines(key);
+                if (typeof value === 'string') {
+                    entries.push([name, encodeURIComponent(_normalizeNewlines(value))]);
+                } else {
+                    const bytes = await _readBlobBytes(value);
+                    entries.push([name, `@${encodeURIComponent(value.name || 'blob')};${bytes.length};${await _sha256Hex(bytes)}`]);
+                }
+            }
+            return `multipart:${_serializeEntries(entries)}`;
+        }
+        if (typeof Blob !== 'undefined' && body instanceof Blob) {
+            return _serializeBytes(await _readBlobBytes(body));
+        }
+        if (body instanceof ArrayBuffer) {
+            return _serializeBytes(new Uint8Array(body));
+        }
+        if (ArrayBuffer.isView(body)) {
+            return _serializeBytes(new Uint8Array(body.buffer, body.byteOffset, body.byteLength));
+        }
+        if (typeof body === 'string') {
+            return _serializeBytes(new TextEncoder().encode(body));
+        }
+        if (typeof body === 'object') {
+            return _serializeJsonValue(body);
+        }
+        return _serializeBytes(new TextEncoder().encode(String(body)));
+    }
+    
+    /**
+     * 风险评分引擎: 评分规则由 RiskRules 的声明式规则集描述 (默认规则集与原硬编码逻辑等价)
+     * @returns {{score: number, total: number, reasons: string[], breakdown: Array<object>}}
      * @private
      */
     function _calculateRiskScore(collectedData, weights) {
-        let score = 0;
-        const reasons = [];
-
-        // 异常扫描 (高权重)
-        const anomalyData = collectedData.anomaly_scan || {};
-        const anomalyWeight = weights.anomaly_scan || 50;
-        if (anomalyData.webdriver) { score += anomalyWeight; reasons.push('webdriver'); }
-        if (anomalyData.webdriver_tampered) { score += anomalyWeight * 1.2; reasons.push('webdriver_tampered'); }
-        if (anomalyData.tostring_tampered) { score += anomalyWeight * 1.1; reasons.push('tostring_tampered'); }
-        if (anomalyData.stack_anomaly) { score += anomalyWeight * 0.7; reasons.push(`stack:${anomalyData.stack_anomaly}`); }
-        if (anomalyData.permissions_denied) { score += 5; reasons.push('permissions_denied'); }
-
-        // 行为数据 (中等权重)
-        const trajectoryData = collectedData.mouse_trajectory || { points: [], analysis: {} };
-        const trajectoryWeight = weights.mouse_trajectory || 25;
-        const platformData = collectedData.platform || {};
-        const isTouchDevice = platformData.touchPoints > 0;
-
-        if (trajectoryData.points.length === 0) { score += 3; reasons.push('no_mouse_movements'); }
-        else if (trajectoryData.points.length < 5) { score += 2; reasons.push('few_mouse_movements'); }
-        
-        if (trajectoryData.analysis.is_straight_line) {
-            const straightLineWeight = isTouchDevice ? 0.1 : 0.7;
-            score += trajectoryWeight * straightLineWeight;
-            reasons.push(`straight_line_trajectory (touch: ${isTouchDevice})`);
-        } else if (trajectoryData.analysis.regularity_score > 0.5) {
-            score += trajectoryWeight * 0.5;
-            reasons.push('regular_trajectory');
-        }
-        
-        const clickCount = platformData.clickCount || 0;
-        if (clickCount === 0) { score += 1; reasons.push('no_clicks'); }
-        else if (clickCount > 5 && trajectoryData.points.length > 20) { score -= 5; reasons.push('active_user_bonus'); }
-
-        // 环境与性能数据 (低权重)
-        const perfData = collectedData.performance;
-        if (perfData && perfData.transferSize === 0 && perfData.type === 'navigate') { score -= 5; reasons.push('from_cache_bonus'); }
-        
-        const fingerprintErrors = ['err_canvas', 'err_no_webgl', 'err_webgl', 'err_no_offline_context', 'err_audio_render', 'err_audio_context', 'err_platform', 'err_screen', 'err_no_perf', 'err_no_perf_api', 'err_no_timing'];
-        let errorCount = 0;
-        for (const key in collectedData) {
-            if (fingerprintErrors.includes(collectedData[key])) { 
-                errorCount++;
+        const result = HiveHyde.RiskRules.evaluate(collectedData, weights);
+        const reasons = result.matched.map(rule => rule.id);
+        console.log('[HiveHyde] Risk score calculation reasons:', reasons.join(', ') || 'No significant risks detected.');
+        return {
+            score: result.score,
+            total: result.total,
+            reasons,
+            breakdown: result.matched.map(rule => ({ id: rule.id, points: rule.points }))
+        };
+    }
+
+    /**
+     * 使用会话密钥进行AES加密的辅助函数 (v1)
+     * @private
+     */
+    async function _aesEncrypt(plaintext, key) {
+        const keyBytes = Forge.hexToBytes(key);
+        const ivBytes = keyBytes.slice(0, 16);
+        const ciphertext = await Forge.aesCbcEncrypt(keyBytes, ivBytes, Forge.utf8Encode(plaintext));
+        return Forge.bytesToBase64(ciphertext);
+    }
+
+    /**
+     * 按协议版本获取加密密钥与签名密钥
+     * @private
+     */
+    async function _deriveKeys(sessionKey, version) {
+        const keyBytes = Forge.hexToBytes(sessionKey);
+        if (version === PROTOCOL_V1) {
+            return { encKey: keyBytes, macKey: keyBytes };
+        }
+        if (derivedKeyCache.sessionKey !== sessionKey) {
+            derivedKeyCache = { sessionKey, keys: {} };
+        }
+        if (!derivedKeyCache.keys[version]) {
+            derivedKeyCache.keys[version] = {
+                encKey: await Forge.hkdfSha256(keyBytes, HKDF_INFO[version].enc),
+                macKey: await Forge.hkdfSha256(keyBytes, HKDF_INFO[version].mac)
+            };
+        }
+        return derivedKeyCache.keys[version];
+    }
+
+    /**
+     * v2 加密: AES-256-CBC + 随机 IV，输出 Base64(IV || 密文)
+     * @private
+     */
+    async function _aesEncryptWithRandomIv(plaintext, encKey) {
+        const iv = Forge.randomBytes(16);
+        const ciphertext = await Forge.aesCbcEncrypt(encKey, iv, Forge.utf8Encode(plaintext));
+        return Forge.bytesToBase64(Forge.concatBytes(iv, ciphertext));
+    }
+
+    /**
+     * v3 加密: AES-256-GCM + 12字节随机 IV，输出 Base64(IV || 密文 || 认证标签)
+     * @private
+     */
+    async function _aesGcmEncrypt(plaintext, encKey) {
+        const iv = Forge.randomBytes(12);
+        const ciphertext = await Forge.aesGcmEncrypt(encKey, iv, Forge.utf8Encode(plaintext));
+        return Forge.bytesToBase64(Forge.concatBytes(iv, ciphertext));
+    }
+
+    /**
+     * 读取配置中的协议版本，非法值回退为默认版本
+     * @private
+     */
+    function _resolveProtocolVersion() {
+        const configured = HiveHyde.config && HiveHyde.config.protocolVersion;
+        if (configured === undefined) {
+            return DEFAULT_PROTOCOL_VERSION;
+        }
+        if (!SUPPORTED_PROTOCOL_VERSIONS.includes(configured)) {
+            console.warn(`[HiveHyde] Unsupported protocolVersion "${configured}", falling back to v${DEFAULT_PROTOCOL_VERSION}.`);
+            return DEFAULT_PROTOCOL_VERSION;
+        }
+        if (configured === PROTOCOL_V3 && !Forge.supportsAesGcm) {
+            console.warn('[HiveHyde] AES-GCM is unavailable without SubtleCrypto, falling back to protocol v2.');
+            return PROTOCOL_V2;
+        }
+        return configured;
+    }
+
+    /**
+     * 计算设备标识: 规范化后的可用组件按名称排序拼接，取 SHA-256。
+     * 缺失或出错 (err_*) 的组件不参与计算；confidence 为可用组件稳定性之和占全部组件的比例。
+     * @returns {Promise<{id: string, confidence: number, components: object}>}
+     * @private
+     */
+    async function _computeVisitorId(collectedData) {
+        const parts = [];
+        const components = {};
+        let available = 0;
+        let total = 0;
+        for (const component of VISITOR_COMPONENTS) {
+            total += component.stability;
+            let value;
+            try {
+                value = component.read(collectedData);
+            } catch (e) {
+                value = undefined;
             }
+            if (value === undefined || value === null || (typeof value === 'string' && value.startsWith('err_'))) {
+                components[component.name] = 0;
+                continue;
+            }
+            available += component.stability;
+            components[component.name] = component.stability;
+            parts.push(`${component.name}=${value}`);
         }
-        if (errorCount > 2) { 
-            score += errorCount * 2;
-            reasons.push(`${errorCount}_fingerprint_errors`);
+        const id = parts.length === 0 ? null : (await _sha256Hex(Forge.utf8Encode(parts.sort().join('\n')))).substring(0, VISITOR_ID_LENGTH);
+        return { id, confidence: Math.round(available / total * 100) / 100, components };
+    }
+
+    /**
+     * 构造校验响应签名的函数，绑定本次请求的签名密钥与 Nonce，不受之后密钥轮换的影响。
+     * 响应签名串: resp||状态码||请求路径||请求Nonce||SHA256(响应Body)
+     * @private
+     */
+    function _createResponseVerifier(macKey, realUrl, nonce) {
+        return async function verifyResponse(status, bodyBytes, signature) {
+            if (!signature) {
+                return false;
+            }
+            const dataToSign = ['resp', status, realUrl, nonce, await _sha256Hex(bodyBytes)].join('||');
+            const expected = Forge.bytesToHex(await Forge.hmacSha256(macKey, Forge.utf8Encode(dataToSign)));
+            return expected === String(signature).toLowerCase();
+        };
+    }
+
+    /**
+     * 按点分路径 (如 "webgl.renderer") 读取采集结果，缺失时返回 undefined
+     * @private
+     */
+    function _readPath(collectedData, path) {
+        let value = collectedData;
+        for (const segment of String(path).split('.')) {
+            if (value === null || typeof value !== 'object' || !(segment in value)) {
+                return undefined;
+            }
+            value = value[segment];
         }
+        return value;
+    }
 
-        console.log('[HiveHyde] Risk score calculation reasons:', reasons.join(', ') || 'No significant risks detected.');
-        return Math.min(Math.round(Math.max(0, score)), 100);
+    /**
+     * 按字段规则取值: 缺失时使用 default (默认 'N/A')，再依次应用 hash 与 truncate
+     * @private
+     */
+    async function _resolveSchemaField(collectedData, spec) {
+        const rule = (typeof spec === 'string') ? { path: spec } : spec;
+        let value = _readPath(collectedData, rule.path);
+        if (value === undefined) {
+            return ('default' in rule) ? rule.default : FINGERPRINT_MISSING_VALUE;
+        }
+        if (rule.hash === 'sha256') {
+            const text = (typeof value === 'string') ? value : JSON.stringify(value);
+            value = await _sha256Hex(Forge.utf8Encode(text));
+        }
+        if (rule.truncate && typeof value === 'string') {
+            value = value.substring(0, rule.truncate);
+        }
+        return value;
     }
 
     /**
-     * 使用会话密钥进行AES加密的辅助函数
+     * 获取注册时声明 includeInFingerprint 的自定义采集器名称
      * @private
      */
-    function _aesEncrypt(plaintext, key) {
-        const keyHex = CryptoJS.enc.Hex.parse(key);
-        const ivHex = CryptoJS.enc.Hex.parse(key.substring(0, 32));
-        const encrypted = CryptoJS.AES.encrypt(plaintext, keyHex, {
-            iv: ivHex,
-            mode: CryptoJS.mode.CBC,
-            padding: CryptoJS.pad.Pkcs7
-        });
-        return encrypted.toString();
+    function _fingerprintCollectorNames() {
+        if (!HiveHyde.DataLoom) {
+            return [];
+        }
+        return HiveHyde.DataLoom.getCollectorRegistry().collectors
+            .filter(collector => collector.includeInFingerprint)
+            .map(collector => collector.name);
+    }
+
+    /**
+     * 按指纹 schema 构造参与签名的指纹对象，schema 版本写入 schema 字段，供后端按版本解析。
+     * 无论使用哪个 schema，注册时声明 includeInFingerprint 的自定义采集结果都一并签名；
+     * 与 schema 字段同名时保留 schema 字段 (validateFingerprintSchema 会拒绝这类 schema)。
+     * @private
+     */
+    async function _buildFingerprint(collectedData, schema) {
+        const activeSchema = schema || DEFAULT_FINGERPRINT_SCHEMA;
+        const fingerprint = { schema: activeSchema.version };
+        for (const [field, spec] of Object.entries(activeSchema.fields)) {
+            fingerprint[field] = await _resolveSchemaField(collectedData, spec);
+        }
+        for (const name of _fingerprintCollectorNames()) {
+            if (name in collectedData && !(name in activeSchema.fields)) {
+                fingerprint[name] = collectedData[name];
+            }
+        }
+        return fingerprint;
     }
 
     // --- 公共接口 ---
 
-    async function assessAndSign(collectedData, weights, realUrl, params, method) {
+    /**
+     * 评估风险并生成签名包
+     * @param {object} collectedData - DataLoom 采集结果
+     * @param {object} weights - 策略权重
+     * @param {string} realUrl - API的真实URL路径
+     * @param {object} params - 请求参数
+     * @param {string} method - HTTP请求方法
+     * @param {object} [policy] - 当前策略的附加信息
+     * @param {object} [policy.fingerprintSchema] - 指纹 schema，默认使用 DEFAULT_FINGERPRINT_SCHEMA
+     * @param {string} [policy.version] - 后端下发的策略版本，随评分明细发送
+     * @param {string} [policy.collectionLevel='full'] - 生效的采集级别，写入指纹的 consent 字段
+     * @returns {Promise<object>}
+     * @public
+     */
+    async function assessAndSign(collectedData, weights, realUrl, params, method, policy) {
+        const { fingerprintSchema = null, version: policyVersion = null, collectionLevel = 'full' } = policy || {};
         const sessionKey = await HiveHyde.SessionVault.getCurrentKey();
         if (!sessionKey) {
             throw new Error('Could not retrieve session key. Vault might be uninitialized or failed.');
         }
 
-        const riskScore = _calculateRiskScore(collectedData, weights);
+        const assessment = _calculateRiskScore(collectedData, weights);
+        const riskScore = assessment.score;
         const timestamp = Date.now();
         const nonce = `${timestamp}-${Math.random().toString(36).substring(2, 10)}`;
         const httpMethod = method.toUpperCase();
@@ -137,22 +477,43 @@
         if (httpMethod === 'GET') {
             serializedParams = _serializeGetParams(params);
         } else if (['POST', 'PUT', 'PATCH', 'DELETE'].includes(httpMethod)) {
-            if (!params || Object.keys(params).length === 0) {
-                serializedParams = "{}";
-            } else {
-                serializedParams = JSON.stringify(params);
-            }
+            serializedParams = await _serializeBody(params);
         }
 
-        const rawFingerprintJson = JSON.stringify({
-            platform: collectedData.platform ? collectedData.platform.platform : 'N/A',
-            renderer: collectedData.webgl ? collectedData.webgl.renderer : 'N/A',
-            audio: collectedData.audio,
-        });
+        const fingerprint = await _buildFingerprint(collectedData, fingerprintSchema);
+        // 声明生效的采集级别: 后端据此调整预期，而不是把未采集的数据当作异常
+        fingerprint.consent = collectionLevel;
+        fingerprint.visitor = (collectionLevel === ESSENTIAL_LEVEL) ? null : await _computeVisitorId(collectedData);
+        // 被替换的关键函数名单随指纹签名，后端可据此直接拒绝，而不只依赖风险分
+        const integrity = collectedData.integrity;
+        fingerprint.integrity = (integrity && typeof integrity === 'object')
+            ? { tampered: integrity.tampered, replaced: integrity.replaced, non_native: integrity.non_native }
+            : null;
+        // 评分明细放在指纹内: 与指纹一起加密，并随 rawFingerprintJson 参与签名
+        fingerprint.risk = {
+            score: riskScore,
+            total: assessment.total,
+            reasons: assessment.reasons,
+            breakdown: assessment.breakdown,
+            policyVersion
+        };
+        const rawFingerprintJson = JSON.stringify(fingerprint);
 
-        const encryptedFingerprint = _aesEncrypt(rawFingerprintJson, sessionKey);
+        const version = _resolveProtocolVersion();
+        const { encKey, macKey } = await _deriveKeys(sessionKey, version);
 
-        const dataToSign = [
+        let encryptedFingerprint;
+        if (version === PROTOCOL_V1) {
+            encryptedFingerprint = await _aesEncrypt(rawFingerprintJson, sessionKey);
+        } else if (version === PROTOCOL_V2) {
+            encryptedFingerprint = await _aesEncryptWithRandomIv(rawFingerprintJson, encKey);
+        } else {
+            encryptedFingerprint = await _aesGcmEncrypt(rawFingerprintJson, encKey);
+        }
+
+        // v2 起在签名串最前面加入版本标识，防止跨版本重放
+        const signParts = (version === PROTOCOL_V1) ? [] : [`v${version}`];
+        const dataToSign = signParts.concat([
             timestamp,
             nonce,
             httpMethod,
@@ -160,23 +521,74 @@
             serializedParams,
             riskScore,
             rawFingerprintJson
-        ].join('||');
+        ]).join('||');
 
-        const keyHex = CryptoJS.enc.Hex.parse(sessionKey);
-        const signature = CryptoJS.HmacSHA256(dataToSign, keyHex).toString(CryptoJS.enc.Hex);
+        const signature = Forge.bytesToHex(await Forge.hmacSha256(macKey, Forge.utf8Encode(dataToSign)));
 
         return {
+            version,
             signature,
             timestamp,
             nonce,
             riskScore,
             token: HiveHyde.SessionVault.getCurrentToken(),
-            fingerprintJsonForSign: encryptedFingerprint
+            fingerprintJsonForSign: encryptedFingerprint,
+            verifyResponse: _createResponseVerifier(macKey, realUrl, nonce)
         };
     }
 
+    /**
+     * 校验指纹 schema。字段名不能与保留字段或声明了 includeInFingerprint 的自定义采集器同名。
+     * @param {object} schema
+     * @returns {{valid: boolean, errors: string[]}}
+     * @public
+     */
+    function validateFingerprintSchema(schema) {
+        const errors = [];
+        if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+            return { valid: false, errors: ['schema must be an object'] };
+        }
+        if (!['number', 'string'].includes(typeof schema.version) || schema.version === '') {
+            errors.push('version: must be a number or a non-empty string');
+        }
+        const fields = schema.fields;
+        if (!fields || typeof fields !== 'object' || Array.isArray(fields) || Object.keys(fields).length === 0) {
+            errors.push('fields: must be a non-empty object');
+            return { valid: false, errors };
+        }
+        const collectorNames = _fingerprintCollectorNames();
+        for (const [field, spec] of Object.entries(fields)) {
+            const path = `fields.${field}`;
+            if (RESERVED_FINGERPRINT_FIELDS.includes(field)) {
+                errors.push(`${path}: "${field}" is reserved`);
+                continue;
+            }
+            if (collectorNames.includes(field)) {
+                errors.push(`${path}: "${field}" is used by a collector registered with includeInFingerprint`);
+                continue;
+            }
+            if (typeof spec === 'string') {
+                if (spec === '') errors.push(`${path}: path must not be empty`);
+                continue;
+            }
+            if (!spec || typeof spec !== 'object' || typeof spec.path !== 'string' || spec.path === '') {
+                errors.push(`${path}: must be a path string or an object with a "path"`);
+                continue;
+            }
+            if ('hash' in spec && !SCHEMA_HASHES.includes(spec.hash)) {
+                errors.push(`${path}.hash: unsupported hash "${spec.hash}"`);
+            }
+            if ('truncate' in spec && !(Number.isInteger(spec.truncate) && spec.truncate > 0)) {
+                errors.push(`${path}.truncate: must be a positive integer`);
+            }
+        }
+        return { valid: errors.length === 0, errors };
+    }
+
     HiveHyde.RiskMatrix = {
-        assessAndSign
+        DEFAULT_FINGERPRINT_SCHEMA,
+        assessAndSign,
+        validateFingerprintSchema
     };
 
 })(window);
\ No newline at end of file
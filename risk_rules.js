@@ -0,0 +1,489 @@
+/**
+ * HiveHyde Anti-Crawler System - Risk Rules
+ *
+ * 功能:
+ * 1. 以声明式规则集 (JSON) 描述风险评分: 针对采集字段的条件、权重、加分/减分项以及分数上下限。
+ * 2. 内置默认规则集 (原硬编码评分逻辑加上交互行为规则)。
+ * 3. 支持在初始化时加载后端下发的规则集，加载前进行完整校验，校验失败时保留当前规则集。
+ * 4. 提供 dry-run 评估器，返回给定输入的分数与命中的规则，便于调参与联调。
+ *
+ * 规则集格式:
+ * {
+ *   "version": 1,
+ *   "limits": { "min": 0, "max": 100 },
+ *   "counters": { "<名称>": ["<值>", ...] },     // 统计顶层采集结果中等于所列值的个数，通过 "$counters.<名称>" 引用
+ *   "rules": [{
+ *     "id": "webdriver",
+ *     "group": "可选，同组规则只取第一个命中的 (相当于 else-if)",
+ *     "when": 条件,
+ *     "points": 数字 | { "weight": "<权重键>", "fallback": 50, "factor": 1.2 } | { "field": "<字段路径>", "factor": 2 }
+ *   }]
+ * }
+ * 条件: { "all": [条件...] } | { "any": [条件...] } | { "not": 条件 }
+ *      | { "field": "a.b.c", "op": "truthy|falsy|exists|eq|neq|gt|gte|lt|lte|in", "value": ..., "default": ... }
+ *
+ * @version 1.0
+ */
+(function(window) {
+    'use strict';
+
+    const HiveHyde = window.HiveHyde || (window.HiveHyde = {});
+
+    // --- 配置常量 ---
+    const RULE_SET_VERSION = 1;
+    const UNARY_OPS = ['truthy', 'falsy', 'exists'];
+    const NUMERIC_OPS = ['gt', 'gte', 'lt', 'lte'];
+    const VALUE_OPS = ['eq', 'neq', 'in'].concat(NUMERIC_OPS);
+    const COUNTER_PREFIX = '$counters.';
+
+    /**
+     * 默认规则集: 原 _calculateRiskScore 的硬编码逻辑，加上基于交互统计 (interaction) 的规则
+     */
+    const DEFAULT_RULE_SET = {
+        version: RULE_SET_VERSION,
+        limits: { min: 0, max: 100 },
+        counters: {
+            fingerprint_errors: ['err_canvas', 'err_no_webgl', 'err_webgl', 'err_no_offline_context', 'err_audio_render', 'err_audio_context', 'err_platform', 'err_screen', 'err_no_perf', 'err_no_perf_api', 'err_no_timing', 'err_fonts', 'err_intl', 'err_hardware', 'err_media_codecs', 'err_media_queries']
+        },
+        rules: [
+            // 异常扫描 (高权重)
+            { id: 'webdriver', when: { field: 'anomaly_scan.webdriver', op: 'truthy' }, points: { weight: 'anomaly_scan', fallback: 50, factor: 1 } },
+            { id: 'webdriver_tampered', when: { field: 'anomaly_scan.webdriver_tampered', op: 'truthy' }, points: { weight: 'anomaly_scan', fallback: 50, factor: 1.2 } },
+            { id: 'tostring_tampered', when: { field: 'anomaly_scan.tostring_tampered', op: 'truthy' }, points: { weight: 'anomaly_scan', fallback: 50, factor: 1.1 } },
+            { id: 'stack_anomaly', when: { field: 'anomaly_scan.stack_anomaly', op: 'truthy' }, points: { weight: 'anomaly_scan', fallback: 50, factor: 0.7 } },
+            { id: 'selenium_artifacts', when: { field: 'anomaly_scan.selenium_artifacts', op: 'truthy' }, points: { weight: 'anomaly_scan', fallback: 50, factor: 1 } },
+            { id: 'automation_bindings', when: { field: 'anomaly_scan.automation_bindings', op: 'truthy' }, points: { weight: 'anomaly_scan', fallback: 50, factor: 1 } },
+            // 用户打开开发者工具时同样会命中，因此只在同时出现其他自动化信号时计分
+            {
+                id: 'cdp_runtime',
+                when: {
+                    all: [
+                        { field: 'anomaly_scan.cdp_runtime', op: 'truthy' },
+                        {
+                            any: [
+                                { field: 'anomaly_scan.webdriver', op: 'truthy' },
+                                { field: 'anomaly_scan.webdriver_tampered', op: 'truthy' },
+                                { field: 'anomaly_scan.automation_bindings', op: 'truthy' },
+                                { field: 'anomaly_scan.selenium_artifacts', op: 'truthy' },
+                                { field: 'anomaly_scan.ua_data_mismatch', op: 'truthy' }
+                            ]
+                        }
+                    ]
+                },
+                points: { weight: 'anomaly_scan', fallback: 50, factor: 0.4 }
+            },
+            { id: 'ua_data_mismatch', when: { field: 'anomaly_scan.ua_data_mismatch', op: 'truthy' }, points: { weight: 'anomaly_scan', fallback: 50, factor: 0.6 } },
+            { id: 'locale_mismatch', when: { field: 'anomaly_scan.locale_mismatch', op: 'truthy' }, points: { weight: 'anomaly_scan', fallback: 50, factor: 0.2 } },
+            // 跨 Realm 不一致: 主窗口被修补而 Worker / iframe 中仍是原始值
+            { id: 'cross_realm_navigator', when: { field: 'cross_realm.navigator', op: 'truthy' }, points: { weight: 'cross_realm', fallback: 40, factor: 1 } },
+            { id: 'cross_realm_webdriver', when: { field: 'cross_realm.webdriver', op: 'truthy' }, points: { weight: 'cross_realm', fallback: 40, factor: 1 } },
+            { id: 'cross_realm_native_functions', when: { field: 'cross_realm.native_functions', op: 'truthy' }, points: { weight: 'cross_realm', fallback: 40, factor: 1 } },
+            { id: 'cross_realm_webgl', when: { field: 'cross_realm.webgl', op: 'truthy' }, points: { weight: 'cross_realm', fallback: 40, factor: 0.5 } },
+            { id: 'permissions_denied', when: { field: 'anomaly_scan.permissions_denied', op: 'truthy' }, points: 5 },
+            // 完整性: 签名、加密或 HiveHyde 模块被挂钩；fetch / XHR 常被监控 SDK 合法包装，权重较低
+            { id: 'integrity_critical', group: 'integrity', when: { field: 'integrity.critical', op: 'truthy' }, points: { weight: 'integrity', fallback: 60, factor: 1 } },
+            { id: 'integrity_transport', group: 'integrity', when: { field: 'integrity.transport', op: 'truthy' }, points: { weight: 'integrity', fallback: 60, factor: 0.25 } },
+
+            // 行为数据 (中等权重)
+            // 触摸设备上没有鼠标移动是正常的，以 0 分结束 mouse_volume 组
+            { id: 'touch_interaction', group: 'mouse_volume', when: { field: 'interaction.pointer.touch', default: 0, op: 'gt', value: 0 }, points: 0 },
+            // 未采集 (如采集级别不允许) 的数据不计分
+            { id: 'no_mouse_movements', group: 'mouse_volume', when: { all: [{ field: 'mouse_trajectory', op: 'exists' }, { field: 'mouse_trajectory.points.length', default: 0, op: 'eq', value: 0 }] }, points: 3 },
+            { id: 'few_mouse_movements', group: 'mouse_volume', when: { all: [{ field: 'mouse_trajectory', op: 'exists' }, { field: 'mouse_trajectory.points.length', default: 0, op: 'lt', value: 5 }] }, points: 2 },
+            {
+                id: 'straight_line_trajectory_touch',
+                group: 'trajectory_shape',
+                when: { all: [{ field: 'mouse_trajectory.analysis.is_straight_line', op: 'truthy' }, { field: 'platform.touchPoints', op: 'gt', value: 0 }] },
+                points: { weight: 'mouse_trajectory', fallback: 25, factor: 0.1 }
+            },
+            { id: 'straight_line_trajectory', group: 'trajectory_shape', when: { field: 'mouse_trajectory.analysis.is_straight_line', op: 'truthy' }, points: { weight: 'mouse_trajectory', fallback: 25, factor: 0.7 } },
+            { id: 'regular_trajectory', group: 'trajectory_shape', when: { field: 'mouse_trajectory.analysis.regularity_score', op: 'gt', value: 0.5 }, points: { weight: 'mouse_trajectory', fallback: 25, factor: 0.5 } },
+            { id: 'no_clicks', group: 'clicks', when: { all: [{ field: 'platform', op: 'exists' }, { field: 'platform.clickCount', default: 0, op: 'eq', value: 0 }] }, points: 1 },
+            {
+                id: 'active_user_bonus',
+                group: 'clicks',
+                when: { all: [{ field: 'platform.clickCount', op: 'gt', value: 5 }, { field: 'mouse_trajectory.points.length', op: 'gt', value: 20 }] },
+                points: -5
+            },
+
+            // 交互统计
+            { id: 'untrusted_events', group: 'synthetic_events', when: { field: 'interaction.untrusted', default: 0, op: 'gt', value: 0 }, points: { weight: 'interaction', fallback: 20, factor: 1 } },
+            // 自动化工具逐键输入时按键几乎没有按下时长
+            {
+                id: 'instant_keystrokes',
+                group: 'typing',
+                when: { all: [{ field: 'interaction.keys.count', op: 'gte', value: 5 }, { field: 'interaction.keys.dwellMean', op: 'lt', value: 10 }] },
+                points: { weight: 'interaction', fallback: 20, factor: 0.75 }
+            },
+            // 按键间隔几乎恒定: 脚本以固定延迟输入
+            {
+                id: 'robotic_typing_rhythm',
+                group: 'typing',
+                when: { all: [{ field: 'interaction.keys.count', op: 'gte', value: 10 }, { field: 'interaction.keys.flightStd', op: 'lt', value: 8 }] },
+                points: { weight: 'interaction', fallback: 20, factor: 0.5 }
+            },
+
+            // 蜜罐: 真实用户接触不到诱饵，命中即可判定为脚本
+            { id: 'honeypot_field_filled', when: { field: 'honeypot.field_filled', op: 'truthy' }, points: { weight: 'honeypot', fallback: 40, factor: 1.5 } },
+            { id: 'honeypot_link_clicked', when: { field: 'honeypot.link_clicked', op: 'truthy' }, points: { weight: 'honeypot', fallback: 40, factor: 1.5 } },
+            { id: 'honeypot_field_focused', when: { field: 'honeypot.field_focused', op: 'truthy' }, points: { weight: 'honeypot', fallback: 40, factor: 0.75 } },
+            // 只统计受保护表单内的伪造事件；与 untrusted_events 同组，只计一次
+            { id: 'synthetic_form_events', group: 'synthetic_events', when: { field: 'honeypot.synthetic_events', default: 0, op: 'gt', value: 0 }, points: { weight: 'honeypot', fallback: 40, factor: 0.5 } },
+            { id: 'centered_clicks', when: { field: 'honeypot.centered_clicks', default: 0, op: 'gte', value: 2 }, points: { weight: 'honeypot', fallback: 40, factor: 0.5 } },
+
+            // 环境与性能数据 (低权重)
+            // 精简的容器镜像几乎没有字体，也不带专有解码器
+            { id: 'no_fonts_detected', when: { field: 'fonts.count', op: 'eq', value: 0 }, points: { weight: 'fonts', fallback: 10, factor: 1 } },
+            { id: 'no_media_codecs', when: { field: 'media_codecs.supported', op: 'eq', value: 0 }, points: { weight: 'media_codecs', fallback: 10, factor: 1 } },
+            { id: 'single_core', when: { field: 'hardware.hardwareConcurrency', op: 'lte', value: 1 }, points: { weight: 'hardware', fallback: 5, factor: 1 } },
+            // 数据中心主机的典型配置: 时区为 UTC。带地区的语言处于 UTC 时区时已由 locale_mismatch 计分，不重复计入
+            {
+                id: 'utc_timezone',
+                when: {
+                    all: [
+                        { field: 'intl.timeZone', op: 'in', value: ['UTC', 'Etc/UTC', 'Etc/GMT', 'GMT', 'Etc/Universal', 'Etc/Zulu'] },
+                        { field: 'anomaly_scan.locale_mismatch', op: 'neq', value: 'utc_timezone' }
+                    ]
+                },
+                points: { weight: 'intl', fallback: 10, factor: 0.5 }
+            },
+            // 设备模拟: 报告粗指针 (触屏) 却没有触摸点
+            {
+                id: 'coarse_pointer_without_touch',
+                when: { all: [{ field: 'media_queries.coarse_pointer', op: 'truthy' }, { field: 'platform.touchPoints', op: 'eq', value: 0 }] },
+                points: { weight: 'media_queries', fallback: 10, factor: 1 }
+            },
+            { id: 'from_cache_bonus', when: { all: [{ field: 'performance.transferSize', op: 'eq', value: 0 }, { field: 'performance.type', op: 'eq', value: 'navigate' }] }, points: -5 },
+            { id: 'fingerprint_errors', when: { field: '$counters.fingerprint_errors', op: 'gt', value: 2 }, points: { field: '$counters.fingerprint_errors', factor: 2 } }
+        ]
+    };
+
+    // --- 内部状态 ---
+    let activeRuleSet = DEFAULT_RULE_SET;
+
+    // --- 校验 ---
+
+    function _isPlainObject(value) {
+        return !!value && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    /**
+     * 校验一个条件节点，错误写入 errors
+     * @private
+     */
+    function _validateCondition(condition, path, counters, errors) {
+        if (!_isPlainObject(condition)) {
+            errors.push(`${path}: condition must be an object`);
+            return;
+        }
+        if ('all' in condition || 'any' in condition) {
+            const list = condition.all || condition.any;
+            if (!Array.isArray(list) || list.length === 0) {
+                errors.push(`${path}: "all"/"any" must be a non-empty array`);
+                return;
+            }
+            list.forEach((child, i) => _validateCondition(child, `${path}.${'all' in condition ? 'all' : 'any'}[${i}]`, counters, errors));
+            return;
+        }
+        if ('not' in condition) {
+            _validateCondition(condition.not, `${path}.not`, counters, errors);
+            return;
+        }
+
+        _validateFieldRef(condition.field, `${path}.field`, counters, errors);
+        if (UNARY_OPS.includes(condition.op)) {
+            return;
+        }
+        if (!VALUE_OPS.includes(condition.op)) {
+            errors.push(`${path}.op: unknown operator "${condition.op}"`);
+            return;
+        }
+        if (NUMERIC_OPS.includes(condition.op) && typeof condition.value !== 'number') {
+            errors.push(`${path}.value: operator "${condition.op}" requires a number`);
+        } else if (condition.op === 'in' && !Array.isArray(condition.value)) {
+            errors.push(`${path}.value: operator "in" requires an array`);
+        } else if (!('value' in condition)) {
+            errors.push(`${path}.value: operator "${condition.op}" requires a value`);
+        }
+    }
+
+    function _validateFieldRef(field, path, counters, errors) {
+        if (typeof field !== 'string' || field === '') {
+            errors.push(`${path}: must be a non-empty string`);
+        } else if (field.startsWith(COUNTER_PREFIX) && !(field.slice(COUNTER_PREFIX.length) in counters)) {
+            errors.push(`${path}: unknown counter "${field}"`);
+        }
+    }
+
+    function _validatePoints(points, path, counters, errors) {
+        if (typeof points === 'number') {
+            if (!Number.isFinite(points)) errors.push(`${path}: must be a finite number`);
+            return;
+        }
+        if (!_isPlainObject(points)) {
+            errors.push(`${path}: must be a number or an object`);
+            return;
+        }
+        if (typeof points.factor !== 'number' || !Number.isFinite(points.factor)) {
+            errors.push(`${path}.factor: must be a finite number`);
+        }
+        if ('weight' in points) {
+            if (typeof points.weight !== 'string') errors.push(`${path}.weight: must be a string`);
+            if ('fallback' in points && typeof points.fallback !== 'number') errors.push(`${path}.fallback: must be a number`);
+        } else if ('field' in points) {
+            _validateFieldRef(points.field, `${path}.field`, counters, errors);
+        } else {
+            errors.push(`${path}: must reference a "weight" or a "field"`);
+        }
+    }
+
+    // --- 评估 ---
+
+    /**
+     * 按点号路径读取字段，"$counters.<名称>" 读取计数器
+     * @private
+     */
+    function _readField(context, field) {
+        if (field.startsWith(COUNTER_PREFIX)) {
+            return context.counters[field.slice(COUNTER_PREFIX.length)];
+        }
+        let value = context.data;
+        for (const part of field.split('.')) {
+            if (value === null || value === undefined) {
+                return undefined;
+            }
+            value = value[part];
+        }
+        return value;
+    }
+
+    function _matches(condition, context) {
+        if (condition.all) return condition.all.every(child => _matches(child, context));
+        if (condition.any) return condition.any.some(child => _matches(child, context));
+        if ('not' in condition) return !_matches(condition.not, context);
+
+        let actual = _readField(context, condition.field);
+        if (actual === undefined && 'default' in condition) {
+            actual = condition.default;
+        }
+        switch (condition.op) {
+            case 'truthy': return !!actual;
+            case 'falsy': return !actual;
+            case 'exists': return actual !== undefined && actual !== null;
+            case 'eq': return actual === condition.value;
+            case 'neq': return actual !== condition.value;
+            case 'in': return condition.value.includes(actual);
+            case 'gt': return typeof actual === 'number' && actual > condition.value;
+            case 'gte': return typeof actual === 'number' && actual >= condition.value;
+            case 'lt': return typeof actual === 'number' && actual < condition.value;
+            case 'lte': return typeof actual === 'number' && actual <= condition.value;
+            default: return false;
+        }
+    }
+
+    function _resolvePoints(points, context) {
+        if (typeof points === 'number') {
+            return points;
+        }
+        if ('weight' in points) {
+            const weight = context.weights[points.weight];
+            return (typeof weight === 'number' && weight ? weight : (points.fallback || 0)) * points.factor;
+        }
+        const value = Number(_readField(context, points.field));
+        return Number.isFinite(value) ? value * points.factor : 0;
+    }
+
+    function _countValues(data, counters) {
+        const result = {};
+        const values = Object.keys(data).map(key => data[key]);
+        for (const name in counters) {
+            result[name] = values.filter(value => counters[name].includes(value)).length;
+        }
+        return result;
+    }
+
+    /**
+     * 执行自定义采集器 (DataLoom.registerCollector) 的评分钩子
+     * @private
+     */
+    function _applyCollectorHooks(collectedData, weights, matched) {
+        if (!HiveHyde.DataLoom || typeof HiveHyde.DataLoom.getCollectorRegistry !== 'function') {
+            return 0;
+        }
+        let total = 0;
+        for (const collector of HiveHyde.DataLoom.getCollectorRegistry().collectors) {
+            if (!collector.score || !(collector.name in collectedData)) continue;
+            let delta = 0;
+            try {
+                delta = Number(collector.score(collectedData[collector.name], { weight: weights[collector.name] || 0, data: collectedData }));
+            } catch (e) {
+                console.warn(`[HiveHyde] RiskRules: Score hook of collector "${collector.name}" failed:`, e.message);
+            }
+            if (Number.isFinite(delta) && delta !== 0) {
+                total += delta;
+                matched.push({ id: `custom:${collector.name}`, group: null, points: delta });
+            }
+        }
+        return total;
+    }
+
+    // --- 公共接口 ---
+
+    /**
+     * 校验规则集文档
+     * @param {object} ruleSet
+     * @returns {{valid: boolean, errors: string[]}}
+     * @public
+     */
+    function validate(ruleSet) {
+        const errors = [];
+        if (!_isPlainObject(ruleSet)) {
+            return { valid: false, errors: ['rule set must be an object'] };
+        }
+        if (ruleSet.version !== RULE_SET_VERSION) {
+            errors.push(`version: expected ${RULE_SET_VERSION}, got ${JSON.stringify(ruleSet.version)}`);
+        }
+
+        const counters = ruleSet.counters === undefined ? {} : ruleSet.counters;
+        if (!_isPlainObject(counters)) {
+            errors.push('counters: must be an object');
+        } else {
+            for (const name in counters) {
+                if (!Array.isArray(counters[name])) errors.push(`counters.${name}: must be an array`);
+            }
+        }
+
+        if (ruleSet.limits !== undefined) {
+            const { min, max } = ruleSet.limits || {};
+            if (typeof min !== 'number' || typeof max !== 'number' || min > max) {
+                errors.push('limits: must be { min: number, max: number } with min <= max');
+            }
+        }
+
+        if (!Array.isArray(ruleSet.rules) || ruleSet.rules.length === 0) {
+            errors.push('rules: must be a non-empty array');
+            return { valid: false, errors };
+        }
+        const seenIds = new Set();
+        ruleSet.rules.forEach((rule, i) => {
+            const path = `rules[${i}]`;
+            if (!_isPlainObject(rule)) {
+                errors.push(`${path}: must be an object`);
+                return;
+            }
+            if (typeof rule.id !== 'string' || rule.id === '') {
+                errors.push(`${path}.id: must be a non-empty string`);
+            } else if (seenIds.has(rule.id)) {
+                errors.push(`${path}.id: duplicate id "${rule.id}"`);
+            } else {
+                seenIds.add(rule.id);
+            }
+            if (rule.group !== undefined && typeof rule.group !== 'string') {
+                errors.push(`${path}.group: must be a string`);
+            }
+            _validateCondition(rule.when, `${path}.when`, _isPlainObject(counters) ? counters : {}, errors);
+            _validatePoints(rule.points, `${path}.points`, _isPlainObject(counters) ? counters : {}, errors);
+        });
+        return { valid: errors.length === 0, errors };
+    }
+
+    /**
+     * 替换当前生效的规则集，校验失败时抛出错误并保留原规则集
+     * @param {object} ruleSet
+     * @public
+     */
+    function load(ruleSet) {
+        const result = validate(ruleSet);
+        if (!result.valid) {
+            throw new Error(`[HiveHyde] RiskRules: Invalid rule set: ${result.errors.join('; ')}`);
+        }
+        activeRuleSet = ruleSet;
+        console.log(`[HiveHyde] RiskRules: Loaded rule set with ${ruleSet.rules.length} rules.`);
+    }
+
+    /**
+     * 恢复内置的默认规则集
+     * @public
+     */
+    function reset() {
+        activeRuleSet = DEFAULT_RULE_SET;
+    }
+
+    /**
+     * 评估风险分
+     * @param {object} collectedData - DataLoom.gather 的结果
+     * @param {object} [weights] - 策略权重
+     * @param {object} [ruleSet] - 指定规则集，默认使用当前生效的规则集
+     * @returns {{score: number, total: number, matched: Array<{id: string, group: (string|null), points: number}>}}
+     *          score 为取整并限制在 limits 内的最终分数，total 为未限制的原始累计值
+     * @public
+     */
+    function evaluate(collectedData, weights, ruleSet) {
+        const rules = ruleSet || activeRuleSet;
+        const data = collectedData || {};
+        const context = {
+            data,
+            weights: weights || {},
+            counters: _countValues(data, rules.counters || {})
+        };
+
+        const matched = [];
+        const settledGroups = new Set();
+        let total = 0;
+        for (const rule of rules.rules) {
+            if (rule.group && settledGroups.has(rule.group)) continue;
+            if (!_matches(rule.when, context)) continue;
+            if (rule.group) settledGroups.add(rule.group);
+
+            const points = _resolvePoints(rule.points, context);
+            total += points;
+            matched.push({ id: rule.id, group: rule.group || null, points });
+        }
+        total += _applyCollectorHooks(data, context.weights, matched);
+
+        const limits = rules.limits || DEFAULT_RULE_SET.limits;
+        const score = Math.min(Math.round(Math.max(limits.min, total)), limits.max);
+        return { score, total, matched };
+    }
+
+    /**
+     * dry-run: 校验规则集后评估给定输入，不影响当前生效的规则集
+     * @param {object} collectedData - 模拟的采集结果
+     * @param {object} [options]
+     * @param {object} [options.weights] - 模拟的策略权重
+     * @param {object} [options.ruleSet] - 待试用的规则集，默认使用当前生效的规则集
+     * @returns {{score: number, total: number, matched: Array<object>}}
+     * @public
+     */
+    function dryRun(collectedData, options) {
+        const opts = options || {};
+        if (opts.ruleSet) {
+            const result = validate(opts.ruleSet);
+            if (!result.valid) {
+                throw new Error(`[HiveHyde] RiskRules: Invalid rule set: ${result.errors.join('; ')}`);
+            }
+        }
+        return evaluate(collectedData, opts.weights, opts.ruleSet);
+    }
+
+    /**
+     * 获取当前生效的规则集
+     * @returns {object}
+     * @public
+     */
+    function getActive() {
+        return activeRuleSet;
+    }
+
+    // --- 暴露接口 ---
+    HiveHyde.RiskRules = {
+        DEFAULT_RULE_SET,
+        validate,
+        load,
+        reset,
+        evaluate,
+        dryRun,
+        getActive
+    };
+
+})(window);
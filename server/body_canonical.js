@@ -0,0 +1,148 @@
+/**
+ * HiveHyde Anti-Crawler System - Body Canonicalization (Server)
+ *
+ * 功能:
+ * 1. 在后端还原前端 risk_matrix.js `_serializeBody` 生成的请求体签名字符串。
+ * 2. JSON 按 Canonical JSON 处理；multipart 按字段与文件摘要处理；其余内容按原始字节摘要处理。
+ *
+ * 规则 (必须与前端保持一致):
+ * - 空 Body                 -> "{}"
+ * - 内容为 JSON 对象/数组   -> Canonical JSON (key 按字母序排序，无 key 时为 "{}")
+ * - multipart/form-data     -> `multipart:k=v&k=@<文件名>;<字节数>;<sha256>&...` (key 稳定排序)
+ * - 其他 (表单、文本、二进制) -> `binary:<字节数>:<sha256>`
+ *
+ * @version 1.0
+ */
+'use strict';
+
+const crypto = require('crypto');
+
+const EMPTY_BODY = '{}';
+
+function canonicalJsonStringify(obj) {
+    if (obj === null || typeof obj !== 'object') {
+        return JSON.stringify(obj);
+    }
+    if (Array.isArray(obj)) {
+        return `[${obj.map(item => canonicalJsonStringify(item)).join(',')}]`;
+    }
+    const sortedKeys = Object.keys(obj).sort();
+    const parts = sortedKeys.map(key => `${JSON.stringify(key)}:${canonicalJsonStringify(obj[key])}`);
+    return `{${parts.join(',')}}`;
+}
+
+function sha256Hex(bytes) {
+    return crypto.createHash('sha256').update(bytes).digest('hex');
+}
+
+function _serializeJsonValue(value) {
+    if (!value || Object.keys(value).length === 0) {
+        return EMPTY_BODY;
+    }
+    return canonicalJsonStringify(value);
+}
+
+function _serializeBytes(bytes) {
+    if (bytes.length === 0) {
+        return EMPTY_BODY;
+    }
+    try {
+        const parsed = JSON.parse(new TextDecoder('utf-8', { fatal: true }).decode(bytes));
+        if (parsed !== null && typeof parsed === 'object') {
+            return _serializeJsonValue(parsed);
+        }
+    } catch (e) {
+        // 非 UTF-8 文本或非 JSON，按二进制处理
+    }
+    return `binary:${bytes.length}:${sha256Hex(bytes)}`;
+}
+
+function _serializeEntries(entries) {
+    return entries
+        .slice()
+        .sort((a, b) => (a[0] < b[0] ? -1 : (a[0] > b[0] ? 1 : 0)))
+        .map(([key, value]) => `${encodeURIComponent(key)}=${value}`)
+        .join('&');
+}
+
+function _getBoundary(contentType) {
+    const match = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType || '');
+    return match ? (match[1] || match[2]).trim() : null;
+}
+
+// 浏览器在 Content-Disposition 中以百分号转义 `"`、CR 与 LF
+function _decodeDispositionValue(value) {
+    return value.replace(/%22/g, '"').replace(/%0D/gi, '\r').replace(/%0A/gi, '\n');
+}
+
+/**
+ * 解析 multipart/form-data 原始字节，按出现顺序返回字段列表
+ * @param {Buffer} rawBody
+ * @param {string} boundary
+ * @returns {Array<{name: string, filename: (string|null), data: Buffer}>}
+ */
+function parseMultipart(rawBody, boundary) {
+    const delimiter = Buffer.from(`--${boundary}`);
+    const parts = [];
+    let start = rawBody.indexOf(delimiter);
+    while (start !== -1) {
+        start += delimiter.length;
+        if (rawBody.slice(start, start + 2).toString() === '--') break; // 结束分隔符
+        const next = rawBody.indexOf(delimiter, start);
+        if (next === -1) break;
+
+        const part = rawBody.slice(start + 2, next - 2); // 去掉首尾的 CRLF
+        const headerEnd = part.indexOf('\r\n\r\n');
+        if (headerEnd !== -1) {
+            const headers = part.slice(0, headerEnd).toString('utf8');
+            const nameMatch = /name="([^"]*)"/i.exec(headers);
+            const fileMatch = /filename="([^"]*)"/i.exec(headers);
+            if (nameMatch) {
+                parts.push({
+                    name: _decodeDispositionValue(nameMatch[1]),
+                    filename: fileMatch ? _decodeDispositionValue(fileMatch[1]) : null,
+                    data: part.slice(headerEnd + 4)
+                });
+            }
+        }
+        start = next;
+    }
+    return parts;
+}
+
+/**
+ * 还原请求体的签名字符串
+ * @param {object} source
+ * @param {Buffer|string} [source.rawBody] - 原始请求体 (优先使用)
+ * @param {string} [source.contentType] - Content-Type 请求头
+ * @param {*} [source.body] - 已解析的 JSON Body，无原始请求体时使用
+ * @returns {string}
+ */
+function serializeBody(source) {
+    const { rawBody, contentType, body } = source || {};
+
+    if (rawBody === undefined || rawBody === null) {
+        // 仅有解析后的 JSON 对象时，Canonical JSON 与原始字节的结果一致
+        return (body && typeof body === 'object') ? _serializeJsonValue(body) : EMPTY_BODY;
+    }
+
+    const bytes = Buffer.isBuffer(rawBody) ? rawBody : Buffer.from(String(rawBody), 'utf8');
+    const boundary = /^multipart\/form-data/i.test(contentType || '') ? _getBoundary(contentType) : null;
+    if (bytes.length > 0 && boundary) {
+        const entries = parseMultipart(bytes, boundary).map(part => {
+            if (part.filename === null) {
+                return [part.name, encodeURIComponent(part.data.toString('utf8'))];
+            }
+            return [part.name, `@${encodeURIComponent(part.filename)};${part.data.length};${sha256Hex(part.data)}`];
+        });
+        return `multipart:${_serializeEntries(entries)}`;
+    }
+    return _serializeBytes(bytes);
+}
+
+module.exports = {
+    canonicalJsonStringify,
+    serializeBody,
+    parseMultipart,
+    sha256Hex
+};
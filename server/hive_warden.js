@@ -0,0 +1,989 @@
+/**
+ * HiveHyde Anti-Crawler System - Warden (Server)
+ *
+ * 功能:
+ * 1. 作为 README 中 Go 伪代码的 Node.js 参考实现，供后端直接使用。
+ * 2. 处理 `POST /warden/init`，签发动态会话密钥与会话令牌。
+ * 3. 校验 X-Hive-* 请求头: 时间窗口、令牌查找、指纹解密、HMAC 重算与 Nonce 防重放。
+ * 4. 提供 Express / Koa / 原生 http 三种接入方式。
+ * 5. 可选地为通过校验的请求的响应添加 X-Hive-Response-Signature，供前端识别被篡改的响应。
+ * 6. 可选地对高风险请求要求人机验证: 处理 `POST /warden/challenge`，下发滑块挑战并签发绑定会话令牌的验证通行证。
+ *
+ * `dataToSign` 的拼接规则必须与前端 risk_matrix.js 的 assessAndSign 保持完全一致。
+ *
+ * @version 1.0
+ */
+'use strict';
+
+const crypto = require('crypto');
+const { MemoryStore } = require('./memory_store');
+const { canonicalJsonStringify, serializeBody } = require('./body_canonical');
+
+// --- 配置常量 ---
+const DEFAULT_SESSION_TTL_MS = 30 * 60 * 1000; // 密钥有效期：30分钟 (与前端 KEY_LIFESPAN_MS 一致)
+const DEFAULT_TIME_WINDOW_MS = 60 * 1000;      // 时间戳允许的偏差：60秒
+const DEFAULT_POW_TTL_MS = 2 * 60 * 1000;      // PoW 挑战的求解期限：2分钟
+const DEFAULT_CHALLENGE_TTL_MS = 2 * 60 * 1000; // 人机验证的作答期限：2分钟
+const DEFAULT_PASS_TTL_MS = 10 * 60 * 1000;     // 验证通行证有效期：10分钟
+const CHALLENGE_TOLERANCE = 0.04;               // 滑块位置允许的误差 (轨道长度的比例)
+const MIN_CHALLENGE_DURATION_MS = 300;          // 作答轨迹的最短时长，更快视为脚本
+const KEYBOARD_STEPS = [0.01, 0.1];             // 方向键与 PageUp/PageDown 的步长 (与前端 challenge_gate.js 一致)
+const MIN_KEYBOARD_STEPS = 2;                   // 键盘作答至少移动的次数 (目标不低于 15%，单次 PageUp 无法到达)
+const MIN_KEY_INTERVAL_MS = 30;                 // 相邻两次按键的最短间隔 (系统按键重复约 30 次/秒)
+const CHALLENGE_PASS_HEADER = 'X-Hive-Challenge-Pass';
+const SIGN_SEPARATOR = '||';
+const RESPONSE_SIGNATURE_HEADER = 'X-Hive-Response-Signature';
+const JSON_CONTENT_TYPE = /^application\/([\w.-]+\+)?json\b/i; // body parser 消费后仍可由解析结果还原签名的类型
+
+// --- 签名协议版本 (与前端 risk_matrix.js 一致) ---
+const PROTOCOL_V1 = 1;
+const PROTOCOL_V2 = 2;
+const PROTOCOL_V3 = 3;
+const SUPPORTED_PROTOCOL_VERSIONS = [PROTOCOL_V1, PROTOCOL_V2, PROTOCOL_V3];
+const HKDF_INFO = {
+    [PROTOCOL_V2]: { enc: 'hivehyde-v2-enc', mac: 'hivehyde-v2-mac' },
+    [PROTOCOL_V3]: { enc: 'hivehyde-v3-enc', mac: 'hivehyde-v3-mac' },
+};
+const GCM_IV_LENGTH = 12;
+const GCM_TAG_LENGTH = 16;
+
+// --- 错误码 ---
+const ERROR_CODES = {
+    MISSING_HEADERS: 40100,
+    INVALID_SIGNATURE: 40101,
+    EXPIRED: 40102,
+    REPLAYED: 40103,
+    INVALID_TOKEN: 40104,
+    DECRYPT_FAILED: 40105,
+    UNSUPPORTED_VERSION: 40106,
+    INVALID_PROOF: 40301,
+    CHALLENGE_REQUIRED: 40302,
+    CHALLENGE_FAILED: 40303,
+};
+
+const ERROR_MESSAGES = {
+    [ERROR_CODES.MISSING_HEADERS]: '缺少安全请求头',
+    [ERROR_CODES.INVALID_SIGNATURE]: '签名无效',
+    [ERROR_CODES.EXPIRED]: '凭证已过期',
+    [ERROR_CODES.REPLAYED]: '重复的请求',
+    [ERROR_CODES.INVALID_TOKEN]: '会话令牌无效',
+    [ERROR_CODES.DECRYPT_FAILED]: '指纹解密失败',
+    [ERROR_CODES.UNSUPPORTED_VERSION]: '协议版本不支持',
+    [ERROR_CODES.INVALID_PROOF]: '工作量证明无效',
+    [ERROR_CODES.CHALLENGE_REQUIRED]: '需要完成人机验证',
+    [ERROR_CODES.CHALLENGE_FAILED]: '人机验证未通过',
+};
+
+// 未列出的错误码均返回 401
+const ERROR_STATUS = {
+    [ERROR_CODES.INVALID_PROOF]: 403,
+    [ERROR_CODES.CHALLENGE_REQUIRED]: 403,
+    [ERROR_CODES.CHALLENGE_FAILED]: 403,
+};
+
+/**
+ * 校验失败时抛出的错误，携带业务错误码与 HTTP 状态码
+ */
+class WardenError extends Error {
+    constructor(code, detail) {
+        super(ERROR_MESSAGES[code] || 'Unknown warden error');
+        this.name = 'WardenError';
+        this.code = code;
+        this.status = ERROR_STATUS[code] || 401;
+        this.detail = detail || null;
+    }
+}
+
+// --- 序列化 (必须与前端逐字节一致) ---
+
+function serializeGetParams(params) {
+    if (!params || typeof params !== 'object' || Object.keys(params).length === 0) {
+        return '';
+    }
+    return Object.keys(params).sort().map(key =>
+        `${encodeURIComponent(key)}=${encodeURIComponent(params[key])}`
+    ).join('&');
+}
+
+/**
+ * 按前端规则序列化请求参数
+ * @param {string} httpMethod - 大写的HTTP方法
+ * @param {object} query - 已解析的Query参数
+ * @param {object} bodySource - { rawBody, contentType, body }，见 body_canonical.js
+ * @returns {string}
+ */
+function serializeParams(httpMethod, query, bodySource) {
+    if (httpMethod === 'GET') {
+        return serializeGetParams(query);
+    }
+    if (['POST', 'PUT', 'PATCH', 'DELETE'].includes(httpMethod)) {
+        return serializeBody(bodySource);
+    }
+    return '';
+}
+
+// --- 加解密 ---
+
+/**
+ * HKDF-SHA256 (RFC 5869)，salt 为 32 字节全零，输出 32 字节
+ * @param {Buffer} ikm - 输入密钥材料
+ * @param {string} info - 派生用途
+ * @returns {Buffer}
+ */
+function hkdfSha256(ikm, info) {
+    const prk = crypto.createHmac('sha256', Buffer.alloc(32)).update(ikm).digest();
+    return crypto.createHmac('sha256', prk).update(Buffer.concat([Buffer.from(info, 'utf8'), Buffer.from([1])])).digest();
+}
+
+/**
+ * 按协议版本获取加密密钥与签名密钥
+ * @param {string} sessionKey - 64位十六进制会话密钥
+ * @param {number} version - 协议版本
+ * @returns {{encKey: Buffer, macKey: Buffer}}
+ */
+function deriveKeys(sessionKey, version) {
+    const key = Buffer.from(sessionKey, 'hex');
+    if (version === PROTOCOL_V1) {
+        return { encKey: key, macKey: key };
+    }
+    return { encKey: hkdfSha256(key, HKDF_INFO[version].enc), macKey: hkdfSha256(key, HKDF_INFO[version].mac) };
+}
+
+/**
+ * 解密 X-Hive-Fingerprint-Json
+ * - v1: AES-256-CBC, IV = 密钥前16字节, PKCS7, Base64(密文)
+ * - v2: AES-256-CBC, 随机 IV, PKCS7, Base64(IV || 密文)
+ * - v3: AES-256-GCM, 12字节随机 IV, Base64(IV || 密文 || 16字节认证标签)
+ * @param {string} ciphertext - Base64密文
+ * @param {Buffer} encKey - 加密密钥
+ * @param {number} [version=1] - 协议版本
+ * @returns {string} - 指纹JSON明文
+ */
+function aesDecrypt(ciphertext, encKey, version = PROTOCOL_V1) {
+    const payload = Buffer.from(ciphertext, 'base64');
+    if (version === PROTOCOL_V3) {
+        const iv = payload.subarray(0, GCM_IV_LENGTH);
+        const tag = payload.subarray(payload.length - GCM_TAG_LENGTH);
+        const decipher = crypto.createDecipheriv('aes-256-gcm', encKey, iv);
+        decipher.setAuthTag(tag);
+        return Buffer.concat([
+            decipher.update(payload.subarray(GCM_IV_LENGTH, payload.length - GCM_TAG_LENGTH)),
+            decipher.final()
+        ]).toString('utf8');
+    }
+    const iv = (version === PROTOCOL_V1) ? encKey.subarray(0, 16) : payload.subarray(0, 16);
+    const body = (version === PROTOCOL_V1) ? payload : payload.subarray(16);
+    const decipher = crypto.createDecipheriv('aes-256-cbc', encKey, iv);
+    return Buffer.concat([decipher.update(body), decipher.final()]).toString('utf8');
+}
+
+function hmacSha256Hex(data, macKey) {
+    return crypto.createHmac('sha256', macKey).update(data, 'utf8').digest('hex');
+}
+
+function safeEqual(a, b) {
+    const bufA = Buffer.from(String(a));
+    const bufB = Buffer.from(String(b));
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+// --- 工作量证明 (PoW) ---
+
+/**
+ * 计算 SHA-256(`${salt}:${solution}`) 的前导零比特数，与前端 session_vault.js 的求解器一致
+ * @param {string} salt
+ * @param {string} solution
+ * @returns {number}
+ */
+function powLeadingZeroBits(salt, solution) {
+    const digest = crypto.createHash('sha256').update(`${salt}:${solution}`, 'utf8').digest();
+    let bits = 0;
+    for (const byte of digest) {
+        if (byte === 0) {
+            bits += 8;
+            continue;
+        }
+        return bits + Math.clz32(byte) - 24;
+    }
+    return bits;
+}
+
+function _powSignature(secret, salt, difficulty, expiresAt) {
+    return crypto.createHmac('sha256', secret).update(`${salt}|${difficulty}|${expiresAt}`, 'utf8').digest('hex');
+}
+
+// --- 人机验证 ---
+
+function _challengeSignature(secret, challenge, token) {
+    const data = ['challenge', challenge.id, challenge.type, challenge.target, challenge.expiresAt, token].join('|');
+    return crypto.createHmac('sha256', secret).update(data, 'utf8').digest('hex');
+}
+
+function _passSignature(secret, token, expiresAt, input) {
+    return crypto.createHmac('sha256', secret).update(`pass|${token}|${expiresAt}|${input}`, 'utf8').digest('hex');
+}
+
+/**
+ * 键盘作答: 每一步都是一次按键 (方向键 / PageUp / PageDown 的步长，或 Home / End 及在两端被截断的移动)，
+ * 按键间隔不短于系统按键重复，且移动次数足够
+ * @private
+ */
+function _isPlausibleKeyboardTrace(samples) {
+    let moves = 0;
+    for (let i = 1; i < samples.length; i++) {
+        const [position, t] = samples[i];
+        const delta = Math.abs(position - samples[i - 1][0]);
+        if (delta < 0.001) {
+            continue; // 提交时的重复采样，或在两端继续按键
+        }
+        const isStep = KEYBOARD_STEPS.some(step => Math.abs(delta - step) < 0.001);
+        const isEdge = position === 0 || position === 1;
+        if ((!isStep && !isEdge) || t - samples[i - 1][1] < MIN_KEY_INTERVAL_MS) {
+            return false;
+        }
+        moves++;
+    }
+    return moves >= MIN_KEYBOARD_STEPS;
+}
+
+/**
+ * 检查滑块作答轨迹是否像真人操作。
+ * 轨迹格式: { input: 'pointer' | 'keyboard', samples: [[位置 0-1, 毫秒], ...] }，最后一个采样即提交的位置。
+ * @param {object} trace
+ * @param {number} position - 提交的滑块位置
+ * @returns {boolean}
+ */
+function _isPlausibleTrace(trace, position) {
+    const samples = trace && Array.isArray(trace.samples) ? trace.samples : null;
+    if (!samples || samples.length < 2 || samples.length > 500) {
+        return false;
+    }
+    for (let i = 0; i < samples.length; i++) {
+        const sample = samples[i];
+        if (!Array.isArray(sample) || !Number.isFinite(sample[0]) || !Number.isFinite(sample[1])
+            || sample[0] < 0 || sample[0] > 1 || (i > 0 && sample[1] < samples[i - 1][1])) {
+            return false;
+        }
+    }
+    const last = samples[samples.length - 1];
+    if (Math.abs(last[0] - position) > 0.005 || last[1] - samples[0][1] < MIN_CHALLENGE_DURATION_MS) {
+        return false;
+    }
+    if (trace.input === 'keyboard') {
+        return _isPlausibleKeyboardTrace(samples);
+    }
+    if (trace.input !== 'pointer') {
+        return false;
+    }
+
+    // 拖动轨迹: 移动的采样足够多，且速度有明显的加速与减速 (排除线性插值的脚本拖动)
+    const speeds = [];
+    for (let i = 1; i < samples.length; i++) {
+        const dt = samples[i][1] - samples[i - 1][1];
+        const distance = Math.abs(samples[i][0] - samples[i - 1][0]);
+        if (dt > 0 && distance > 0) speeds.push(distance / dt);
+    }
+    if (speeds.length < 4) {
+        return false;
+    }
+    const mean = speeds.reduce((x, y) => x + y, 0) / speeds.length;
+    const std = Math.sqrt(speeds.reduce((x, y) => x + Math.pow(y - mean, 2), 0) / speeds.length);
+    return std / mean >= 0.2;
+}
+
+// --- 请求适配 ---
+
+function _readHeader(headers, name) {
+    const value = headers[name.toLowerCase()];
+    return Array.isArray(value) ? value[0] : value;
+}
+
+function _splitUrl(rawUrl) {
+    const url = new URL(rawUrl || '/', 'http://warden.local');
+    const query = {};
+    for (const [key, value] of url.searchParams) {
+        query[key] = value;
+    }
+    return { path: url.pathname, query };
+}
+
+function _toBuffer(chunk, encoding) {
+    if (Buffer.isBuffer(chunk)) return chunk;
+    if (chunk instanceof Uint8Array) return Buffer.from(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+    return Buffer.from(String(chunk), typeof encoding === 'string' ? encoding : 'utf8');
+}
+
+function _sendJson(res, status, payload) {
+    res.statusCode = status;
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.end(JSON.stringify(payload));
+}
+
+function _readRawBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('error', reject);
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+    });
+}
+
+function _parseJsonBody(rawBody) {
+    try {
+        return rawBody.length ? JSON.parse(rawBody.toString('utf8')) : {};
+    } catch (e) {
+        return {};
+    }
+}
+
+/**
+ * 获取参与签名的请求体来源。
+ * 优先使用上游保存的原始字节 (req.rawBody)；数据流尚未被读取时 (如 multipart、二进制上传) 自行读取并写回 req.rawBody。
+ * body parser 已消费数据流时，只有 JSON 请求体能由解析结果还原 (Canonical JSON 与字节无关)；
+ * 表单、文本与二进制的签名基于原始字节，此时抛出配置错误，需通过 body parser 的 verify 钩子保存 req.rawBody。
+ * @private
+ */
+async function _collectBodySource(req, parsedBody) {
+    const contentType = req.headers['content-type'];
+    if (req.rawBody !== undefined) {
+        return { rawBody: req.rawBody, contentType };
+    }
+    if (req._body === true || req.readableEnded) {
+        if (JSON_CONTENT_TYPE.test(contentType || '') && parsedBody !== null && typeof parsedBody === 'object') {
+            return { body: parsedBody, contentType };
+        }
+        throw new Error(`[HiveHyde] Warden: Request body (${contentType || 'unknown type'}) was consumed without req.rawBody; ` +
+            'save it with the body parser verify hook: verify: (req, res, buf) => { req.rawBody = buf; }');
+    }
+    req.rawBody = await _readRawBody(req);
+    return { rawBody: req.rawBody, contentType };
+}
+
+/**
+ * 缓冲 res.write / res.end 的输出，在响应结束时由 sign(status, body) 计算签名并写入响应头。
+ * writeHead 会提前固化响应头，因此一并推迟到结束时调用。仅适用于非流式的响应。
+ * @private
+ */
+function _bufferAndSign(res, sign) {
+    const nativeWriteHead = res.writeHead;
+    const nativeWrite = res.write;
+    const nativeEnd = res.end;
+    const chunks = [];
+    let pendingHead = null;
+
+    res.writeHead = function(...args) {
+        pendingHead = args;
+        return res;
+    };
+    res.write = function(chunk, encoding, callback) {
+        if (chunk !== undefined && chunk !== null) chunks.push(_toBuffer(chunk, encoding));
+        const done = typeof encoding === 'function' ? encoding : callback;
+        if (typeof done === 'function') process.nextTick(done);
+        return true;
+    };
+    res.end = function(chunk, encoding, callback) {
+        if (typeof chunk === 'function') {
+            callback = chunk;
+            chunk = undefined;
+        } else if (typeof encoding === 'function') {
+            callback = encoding;
+        }
+        if (chunk !== undefined && chunk !== null) chunks.push(_toBuffer(chunk, encoding));
+
+        res.writeHead = nativeWriteHead;
+        res.write = nativeWrite;
+        res.end = nativeEnd;
+
+        const body = Buffer.concat(chunks);
+        const status = pendingHead ? pendingHead[0] : res.statusCode;
+        res.setHeader(RESPONSE_SIGNATURE_HEADER, sign(status, body));
+        if (pendingHead) {
+            res.writeHead(...pendingHead);
+        }
+        return res.end(body, callback);
+    };
+}
+
+/**
+ * 创建一个 Warden 实例
+ * @param {object} [options]
+ * @param {object} [options.store] - 会话/Nonce存储，默认 MemoryStore
+ * @param {number} [options.sessionTtlMs] - 会话有效期
+ * @param {number} [options.timeWindowMs] - 时间戳容忍窗口
+ * @param {number[]} [options.acceptVersions] - 接受的协议版本，默认 [1, 2, 3]；迁移完成后可收窄
+ * @param {object} [options.pow] - 会话签发时的工作量证明配置，不传则关闭
+ * @param {number|function} options.pow.difficulty - 难度 (前导零比特数)，或 (context) => 难度，
+ *        context 为 { ip, headers, isRefresh }，可对可疑IP提高难度；返回 0 表示免除
+ * @param {string|Buffer} [options.pow.secret] - 挑战签名密钥，多实例部署需共享；默认每个进程随机生成
+ * @param {number} [options.pow.ttlMs] - 挑战的求解期限
+ * @param {object|function} [options.policy] - 随会话下发的策略覆盖，或 (context) => 策略覆盖 (可返回 Promise)，
+ *        context 为 { ip, headers, isRefresh }；格式为 { version, collectors: { enable, disable }, weights, fingerprintSchema, riskThreshold }
+ * @param {object} [options.challenge] - 高风险请求的人机验证配置，不传则关闭
+ * @param {number} [options.challenge.threshold] - 请求的风险分达到该值且未携带有效通行证时返回 40302
+ * @param {function} [options.challenge.required] - (hive) => boolean (可返回 Promise)，自定义是否要求验证，优先于 threshold
+ * @param {number} [options.challenge.keyboardThreshold] - 风险分达到该值时，键盘作答的通行证视为无效
+ * @param {string|Buffer} [options.challenge.secret] - 挑战与通行证的签名密钥，多实例部署需共享；默认每个进程随机生成
+ * @param {number} [options.challenge.ttlMs] - 挑战的作答期限
+ * @param {number} [options.challenge.passTtlMs] - 通行证有效期
+ * @param {boolean} [options.signResponses=false] - 是否为通过校验的请求的响应添加 X-Hive-Response-Signature
+ *        (Express / Koa / 原生 http 适配器自动处理；流式响应不支持)
+ * @param {function} [options.now] - 时间源，便于测试
+ * @returns {object}
+ * @public
+ */
+function createWarden(options = {}) {
+    const store = options.store || new MemoryStore();
+    const sessionTtlMs = options.sessionTtlMs || DEFAULT_SESSION_TTL_MS;
+    const timeWindowMs = options.timeWindowMs || DEFAULT_TIME_WINDOW_MS;
+    const acceptVersions = options.acceptVersions || SUPPORTED_PROTOCOL_VERSIONS;
+    const now = options.now || Date.now;
+    const pow = options.pow || null;
+    const policy = options.policy || null;
+    const powSecret = (pow && pow.secret) || crypto.randomBytes(32);
+    const powTtlMs = (pow && pow.ttlMs) || DEFAULT_POW_TTL_MS;
+    const challenge = options.challenge || null;
+    const challengeSecret = (challenge && challenge.secret) || crypto.randomBytes(32);
+    const challengeTtlMs = (challenge && challenge.ttlMs) || DEFAULT_CHALLENGE_TTL_MS;
+    const passTtlMs = (challenge && challenge.passTtlMs) || DEFAULT_PASS_TTL_MS;
+    const signResponses = options.signResponses === true;
+    const responseKeys = new WeakMap(); // 校验结果 (req.hive) -> 签名密钥，不暴露给业务代码
+
+    /**
+     * 签发新会话 (对应 POST /warden/init)
+     * @returns {Promise<{key: string, token: string}>}
+     */
+    async function issueSession() {
+        const key = crypto.randomBytes(32).toString('hex');
+        const token = crypto.randomBytes(24).toString('hex');
+        await store.setSession(token, key, sessionTtlMs);
+        return { key, token };
+    }
+
+    /**
+     * 生成一个由服务端签名的 PoW 挑战 (无状态，无需存储)
+     * @param {number} difficulty - 前导零比特数
+     * @returns {{salt: string, difficulty: number, expiresAt: number, ttlMs: number, signature: string}}
+     */
+    function createChallenge(difficulty) {
+        const salt = crypto.randomBytes(16).toString('hex');
+        const expiresAt = now() + powTtlMs;
+        // ttlMs 供前端计算求解期限，避免依赖客户端与服务器的时钟一致
+        return { salt, difficulty, expiresAt, ttlMs: powTtlMs, signature: _powSignature(powSecret, salt, difficulty, expiresAt) };
+    }
+
+    /**
+     * 校验 PoW 证明
+     * @param {object} proof - { challenge, solution }
+     * @param {number} requiredDifficulty - 当前要求的最低难度
+     * @param {boolean} [ignoreExpiry=false] - 有效令牌续期时允许复用已过求解期限的证明
+     * @returns {boolean}
+     */
+    function verifyProof(proof, requiredDifficulty, ignoreExpiry = false) {
+        const challenge = proof && proof.challenge;
+        if (!challenge || typeof challenge.salt !== 'string' || typeof proof.solution !== 'string') {
+            return false;
+        }
+        const expected = _powSignature(powSecret, challenge.salt, challenge.difficulty, challenge.expiresAt);
+        if (!safeEqual(challenge.signature, expected)) {
+            return false;
+        }
+        if (!ignoreExpiry && challenge.expiresAt < now()) {
+            return false;
+        }
+        return challenge.difficulty >= requiredDifficulty
+            && powLeadingZeroBits(challenge.salt, proof.solution) >= challenge.difficulty;
+    }
+
+    /**
+     * 处理 `POST /warden/init` 的请求体，返回响应 JSON。
+     * - 未开启 PoW 或难度为 0: 直接签发会话。
+     * - 首次请求: 返回挑战 `{ code: 0, data: { challenge } }`，前端求解后携带 `{ proof }` 再次请求。
+     * - 续期请求 `{ token, proof }`: 令牌仍有效且证明满足当前难度时直接签发并吊销旧令牌，每个令牌只能续期一次；
+     *   令牌已失效时按首次请求处理 (附带的证明未过期且未使用过才签发)，否则返回新的挑战。
+     * 证明一经签发即被占用 (`pow:<salt>`)，续期占用 `pow:<salt>:<token>`，一份证明同一时间只对应一个有效会话。
+     * @param {object} body - 请求体
+     * @param {object} [context] - { ip, headers }
+     * @returns {Promise<object>}
+     * @throws {WardenError} - 首次提交的证明无效或已过期
+     */
+    async function handleInit(body, context = {}) {
+        const payload = (body && typeof body === 'object') ? body : {};
+        const isRefresh = typeof payload.token === 'string';
+        let difficulty = 0;
+        if (pow) {
+            difficulty = typeof pow.difficulty === 'function'
+                ? await pow.difficulty({ ...context, isRefresh })
+                : pow.difficulty;
+        }
+
+        const isLive = isRefresh && !!(await store.getSession(payload.token));
+        if (difficulty > 0) {
+            const challengeResponse = { code: 0, data: { challenge: createChallenge(difficulty) }, msg: '需要完成工作量证明' };
+            if (isLive) {
+                // 旧令牌随后被吊销，按令牌占用可防止并发续期从同一令牌分出多个会话
+                if (!verifyProof(payload.proof, difficulty, true)
+                    || !(await store.claimNonce(`pow:${payload.proof.challenge.salt}:${payload.token}`, sessionTtlMs))) {
+                    return challengeResponse;
+                }
+            } else if (!payload.proof) {
+                return challengeResponse;
+            } else if (!verifyProof(payload.proof, difficulty)
+                || !(await store.claimNonce(`pow:${payload.proof.challenge.salt}`, powTtlMs))) {
+                // 令牌已失效的续期请求附带的通常是上次的证明，下发新的挑战而不是拒绝
+                if (isRefresh) {
+                    return challengeResponse;
+                }
+                throw new WardenError(ERROR_CODES.INVALID_PROOF);
+            }
+        }
+
+        const session = await issueSession();
+        if (isLive) {
+            await store.revokeSession(payload.token);
+        }
+        const overlay = typeof policy === 'function' ? await policy({ ...context, isRefresh }) : policy;
+        if (overlay) {
+            session.policy = overlay;
+        }
+        return { code: 0, data: session, msg: '操作成功' };
+    }
+
+    /**
+     * 校验一个受保护的请求
+     * @param {object} request
+     * @param {string} request.method - HTTP方法
+     * @param {string} request.path - 纯路径，不带域名和参数
+     * @param {object} request.query - 已解析的Query参数
+     * @param {object} request.bodySource - 请求体来源 { rawBody, contentType, body }
+     * @param {object} request.headers - 请求头 (key为小写)
+     * @returns {Promise<object>} - 校验通过的安全上下文
+     * @throws {WardenError}
+     */
+    async function verify(request) {
+        const headers = request.headers || {};
+        const signature = _readHeader(headers, 'X-Hive-Signature');
+        const timestampStr = _readHeader(headers, 'X-Hive-Timestamp');
+        const nonce = _readHeader(headers, 'X-Hive-Nonce');
+        const token = _readHeader(headers, 'X-Hive-Token');
+        const riskScoreStr = _readHeader(headers, 'X-Hive-RiskScore');
+        const encryptedFp = _readHeader(headers, 'X-Hive-Fingerprint-Json');
+
+        if (!signature || !timestampStr || !nonce || !token || riskScoreStr === undefined || !encryptedFp) {
+            throw new WardenError(ERROR_CODES.MISSING_HEADERS);
+        }
+
+        // 0. 协议版本 (缺省视为 v1，兼容未发送 X-Hive-Version 的旧前端)
+        const versionStr = _readHeader(headers, 'X-Hive-Version');
+        const version = versionStr === undefined ? PROTOCOL_V1 : Number(versionStr);
+        if (!acceptVersions.includes(version)) {
+            throw new WardenError(ERROR_CODES.UNSUPPORTED_VERSION, versionStr);
+        }
+
+        // 1. 时间窗口
+        const timestamp = Number(timestampStr);
+        if (!Number.isFinite(timestamp) || Math.abs(now() - timestamp) > timeWindowMs) {
+            throw new WardenError(ERROR_CODES.EXPIRED);
+        }
+
+        // 2. 会话密钥
+        const sessionKey = await store.getSession(token);
+        if (!sessionKey) {
+            throw new WardenError(ERROR_CODES.INVALID_TOKEN);
+        }
+
+        // 3. 解密指纹
+        const { encKey, macKey } = deriveKeys(sessionKey, version);
+        let fingerprintJson;
+        try {
+            fingerprintJson = aesDecrypt(encryptedFp, encKey, version);
+        } catch (e) {
+            throw new WardenError(ERROR_CODES.DECRYPT_FAILED, e.message);
+        }
+
+        // 4. 重算签名
+        const httpMethod = String(request.method || 'GET').toUpperCase();
+        const signParts = (version === PROTOCOL_V1) ? [] : [`v${version}`];
+        const dataToSign = signParts.concat([
+            timestampStr,
+            nonce,
+            httpMethod,
+            request.path,
+            serializeParams(httpMethod, request.query, request.bodySource),
+            riskScoreStr,
+            fingerprintJson
+        ]).join(SIGN_SEPARATOR);
+        const serverSignature = hmacSha256Hex(dataToSign, macKey);
+
+        if (!safeEqual(signature, serverSignature)) {
+            throw new WardenError(ERROR_CODES.INVALID_SIGNATURE, dataToSign);
+        }
+
+        // 5. Nonce 防重放: 签名通过后才占用，伪造签名的请求无法预先消耗合法请求的 Nonce (保留时长覆盖整个时间窗口的两侧)
+        const isFresh = await store.claimNonce(`${token}:${nonce}`, timeWindowMs * 2);
+        if (!isFresh) {
+            throw new WardenError(ERROR_CODES.REPLAYED);
+        }
+
+        let fingerprint = null;
+        try {
+            fingerprint = JSON.parse(fingerprintJson);
+        } catch (e) {
+            // 签名已通过，指纹格式异常时仍保留明文供业务判断
+        }
+
+        let challengeInput = challenge ? _readPass(_readHeader(headers, CHALLENGE_PASS_HEADER), token) : null;
+        if (challengeInput === 'keyboard' && typeof challenge.keyboardThreshold === 'number' && Number(riskScoreStr) >= challenge.keyboardThreshold) {
+            challengeInput = null; // 风险过高时只接受拖动作答的通行证
+        }
+        const hive = {
+            version,
+            token,
+            nonce,
+            timestamp,
+            path: request.path,
+            riskScore: Number(riskScoreStr),
+            // 前端的评分明细 { score, total, reasons, breakdown, policyVersion }，已随指纹一起校验签名
+            risk: (fingerprint && typeof fingerprint.risk === 'object') ? fingerprint.risk : null,
+            // 指纹 schema 版本，未声明时为 1 (早期前端的固定格式)
+            fingerprintSchema: (fingerprint && fingerprint.schema !== undefined) ? fingerprint.schema : 1,
+            // 前端生效的采集级别 (essential / standard / full)，未声明时视为 full
+            consent: (fingerprint && typeof fingerprint.consent === 'string') ? fingerprint.consent : 'full',
+            // 前端计算的设备标识，可用于按设备 (而非按令牌) 限流
+            visitorId: (fingerprint && fingerprint.visitor && typeof fingerprint.visitor.id === 'string') ? fingerprint.visitor.id : null,
+            // 前端完整性监控发现的被替换函数 { tampered, replaced, non_native }，未启用时为 null
+            integrity: (fingerprint && fingerprint.integrity && typeof fingerprint.integrity === 'object') ? fingerprint.integrity : null,
+            // 是否携带了有效的人机验证通行证，以及通过时的作答方式 ('pointer' | 'keyboard'，否则为 null)
+            challengePassed: challengeInput !== null,
+            challengeInput,
+            fingerprint,
+            fingerprintJson
+        };
+
+        // 6. 高风险请求要求人机验证
+        if (challenge && !hive.challengePassed && await _isChallengeRequired(hive)) {
+            throw new WardenError(ERROR_CODES.CHALLENGE_REQUIRED, hive.riskScore);
+        }
+
+        responseKeys.set(hive, macKey);
+        return hive;
+    }
+
+    async function _isChallengeRequired(hive) {
+        if (typeof challenge.required === 'function') {
+            return !!(await challenge.required(hive));
+        }
+        return typeof challenge.threshold === 'number' && hive.riskScore >= challenge.threshold;
+    }
+
+    /**
+     * 解析人机验证通行证 (格式 `expiresAt.input.signature`，绑定签发时的会话令牌)
+     * @returns {string|null} - 有效时返回作答方式 ('pointer' | 'keyboard')
+     * @private
+     */
+    function _readPass(pass, token) {
+        if (typeof pass !== 'string') {
+            return null;
+        }
+        const [expiresAtStr, input, signature] = pass.split('.');
+        const expiresAt = Number(expiresAtStr);
+        if (!expiresAtStr || !Number.isFinite(expiresAt) || expiresAt < now() || !['pointer', 'keyboard'].includes(input)) {
+            return null;
+        }
+        return safeEqual(signature, _passSignature(challengeSecret, token, expiresAt, input)) ? input : null;
+    }
+
+    /**
+     * 校验人机验证通行证
+     * @param {string} pass - X-Hive-Challenge-Pass 的值
+     * @param {string} token - 当前请求的会话令牌
+     * @returns {boolean}
+     */
+    function verifyPass(pass, token) {
+        return _readPass(pass, token) !== null;
+    }
+
+    /**
+     * 处理 `POST /warden/challenge` 的请求体，返回响应 JSON。
+     * - `{ token }`: 下发一个绑定该令牌的滑块挑战 `{ code: 0, data: { challenge } }` (无状态，无需存储)。
+     * - `{ token, challenge, answer: { position }, trace }`: 校验作答，通过后返回 `{ code: 0, data: { pass } }`。
+     *   键盘作答的轨迹无法像拖动轨迹一样区分真人与脚本，因此同一令牌在通行证有效期内只能以键盘作答通过一次，
+     *   通行证标记作答方式 (verify 结果中的 challengeInput)，可在 challenge.required 中对其从严。
+     * @param {object} body - 请求体
+     * @returns {Promise<object>}
+     * @throws {WardenError} - 未开启人机验证、令牌无效，或作答错误 / 已过期 / 已使用 / 轨迹不可信
+     */
+    async function handleChallenge(body) {
+        const payload = (body && typeof body === 'object') ? body : {};
+        if (!challenge) {
+            throw new WardenError(ERROR_CODES.CHALLENGE_FAILED, 'challenge is not enabled');
+        }
+        if (typeof payload.token !== 'string' || !(await store.getSession(payload.token))) {
+            throw new WardenError(ERROR_CODES.INVALID_TOKEN);
+        }
+
+        if (!payload.challenge) {
+            const issued = {
+                id: crypto.randomBytes(16).toString('hex'),
+                type: 'slider',
+                // 目标位于轨道的 15% ~ 90%，保留两位小数
+                target: (15 + crypto.randomInt(76)) / 100,
+                tolerance: CHALLENGE_TOLERANCE,
+                expiresAt: now() + challengeTtlMs,
+                ttlMs: challengeTtlMs
+            };
+            issued.signature = _challengeSignature(challengeSecret, issued, payload.token);
+            return { code: 0, data: { challenge: issued }, msg: '需要完成人机验证' };
+        }
+
+        const issued = payload.challenge;
+        const position = payload.answer && payload.answer.position;
+        const input = payload.trace && payload.trace.input;
+        const isValid = typeof issued.id === 'string'
+            && safeEqual(issued.signature, _challengeSignature(challengeSecret, issued, payload.token))
+            && issued.expiresAt >= now()
+            && Number.isFinite(position)
+            && Math.abs(position - issued.target) <= CHALLENGE_TOLERANCE
+            && _isPlausibleTrace(payload.trace, position)
+            && await store.claimNonce(`challenge:${issued.id}`, challengeTtlMs)
+            && (input !== 'keyboard' || await store.claimNonce(`challenge:keyboard:${payload.token}`, passTtlMs));
+        if (!isValid) {
+            throw new WardenError(ERROR_CODES.CHALLENGE_FAILED);
+        }
+
+        const expiresAt = now() + passTtlMs;
+        const pass = { token: `${expiresAt}.${input}.${_passSignature(challengeSecret, payload.token, expiresAt, input)}`, expiresAt, ttlMs: passTtlMs };
+        return { code: 0, data: { pass }, msg: '操作成功' };
+    }
+
+    /**
+     * 计算响应签名，签名串为 resp||状态码||请求路径||请求Nonce||SHA256(响应Body)，
+     * 使用与请求相同的签名密钥 (v1 为 session_key，v2/v3 为 HKDF 派生的签名密钥)。
+     * @param {object} hive - verify 返回的校验结果
+     * @param {number} status - HTTP 状态码
+     * @param {Buffer|string} body - 实际发送的响应体字节
+     * @returns {string} - X-Hive-Response-Signature 的值
+     */
+    function signResponse(hive, status, body) {
+        const macKey = responseKeys.get(hive);
+        if (!macKey) {
+            throw new Error('signResponse requires the context returned by verify().');
+        }
+        const digest = crypto.createHash('sha256').update(_toBuffer(body === undefined || body === null ? '' : body)).digest('hex');
+        return hmacSha256Hex(['resp', status, hive.path, hive.nonce, digest].join(SIGN_SEPARATOR), macKey);
+    }
+
+    function _errorPayload(error) {
+        return { code: error.code, msg: error.message };
+    }
+
+    // --- 框架适配 ---
+
+    /**
+     * `POST /warden/init` 处理器，适用于 Express 与原生 http。
+     * Express 下若已挂载 JSON body parser 则直接使用 req.body，否则自行读取请求体。
+     */
+    function initHandler() {
+        return async (req, res) => {
+            try {
+                const body = (req.body !== undefined) ? req.body : _parseJsonBody(await _readRawBody(req));
+                const ip = req.ip || (req.socket && req.socket.remoteAddress);
+                _sendJson(res, 200, await handleInit(body, { ip, headers: req.headers }));
+            } catch (error) {
+                if (error instanceof WardenError) {
+                    return _sendJson(res, error.status, _errorPayload(error));
+                }
+                _sendJson(res, 500, { code: 50000, msg: error.message });
+            }
+        };
+    }
+
+    /**
+     * `POST /warden/challenge` 处理器，适用于 Express 与原生 http。
+     */
+    function challengeHandler() {
+        return async (req, res) => {
+            try {
+                const body = (req.body !== undefined) ? req.body : _parseJsonBody(await _readRawBody(req));
+                _sendJson(res, 200, await handleChallenge(body));
+            } catch (error) {
+                if (error instanceof WardenError) {
+                    return _sendJson(res, error.status, _errorPayload(error));
+                }
+                _sendJson(res, 500, { code: 50000, msg: error.message });
+            }
+        };
+    }
+
+    /**
+     * Express 校验中间件。挂载在 express.json / urlencoded / text / raw 之后时，
+     * 除 express.json 外都需通过 `verify` 钩子写入 `req.rawBody`；
+     * multipart 上传请挂载在 multer 等解析器之前。
+     * 校验结果写入 `req.hive`。
+     */
+    function express() {
+        return async (req, res, next) => {
+            const { path, query } = _splitUrl(req.originalUrl || req.url);
+            try {
+                req.hive = await verify({
+                    method: req.method,
+                    path,
+                    query: req.query || query,
+                    bodySource: await _collectBodySource(req, req.body),
+                    headers: req.headers
+                });
+                if (signResponses) {
+                    _bufferAndSign(res, (status, body) => signResponse(req.hive, status, body));
+                }
+                next();
+            } catch (error) {
+                if (!(error instanceof WardenError)) return next(error);
+                _sendJson(res, error.status, _errorPayload(error));
+            }
+        };
+    }
+
+    /**
+     * Koa 校验中间件。需挂载在 koa-bodyparser 之后 (其 rawBody 会被优先使用)。
+     * 校验结果写入 `ctx.state.hive`。
+     */
+    function koa() {
+        return async (ctx, next) => {
+            if (ctx.req.rawBody === undefined && ctx.request.rawBody !== undefined) {
+                ctx.req.rawBody = ctx.request.rawBody;
+            }
+            try {
+                ctx.state.hive = await verify({
+                    method: ctx.method,
+                    path: ctx.path,
+                    query: ctx.query,
+                    bodySource: await _collectBodySource(ctx.req, ctx.request.body),
+                    headers: ctx.headers
+                });
+            } catch (error) {
+                if (!(error instanceof WardenError)) throw error;
+                ctx.status = error.status;
+                ctx.body = _errorPayload(error);
+                return;
+            }
+            await next();
+            if (signResponses) {
+                _signKoaResponse(ctx);
+            }
+        };
+    }
+
+    /**
+     * 将 Koa 的响应体固化为字节后签名 (对象按 Koa 的方式序列化为 JSON，Content-Type 保持不变)
+     * @private
+     */
+    function _signKoaResponse(ctx) {
+        let body = ctx.body;
+        if (body && typeof body.pipe === 'function') {
+            console.warn('[HiveHyde] Warden: Streaming responses cannot be signed.');
+            return;
+        }
+        if (body !== undefined && body !== null && typeof body !== 'string' && !Buffer.isBuffer(body)) {
+            body = Buffer.from(JSON.stringify(body), 'utf8');
+            ctx.body = body;
+        }
+        ctx.set(RESPONSE_SIGNATURE_HEADER, signResponse(ctx.state.hive, ctx.status, body));
+    }
+
+    /**
+     * Koa 版本的 `POST /warden/init` 处理器
+     */
+    function koaInitHandler() {
+        return async (ctx) => {
+            try {
+                ctx.body = await handleInit(ctx.request.body, { ip: ctx.ip, headers: ctx.headers });
+            } catch (error) {
+                if (!(error instanceof WardenError)) throw error;
+                ctx.status = error.status;
+                ctx.body = _errorPayload(error);
+            }
+        };
+    }
+
+    /**
+     * Koa 版本的 `POST /warden/challenge` 处理器
+     */
+    function koaChallengeHandler() {
+        return async (ctx) => {
+            try {
+                ctx.body = await handleChallenge(ctx.request.body);
+            } catch (error) {
+                if (!(error instanceof WardenError)) throw error;
+                ctx.status = error.status;
+                ctx.body = _errorPayload(error);
+            }
+        };
+    }
+
+    /**
+     * 包装一个原生 http 处理器: 自动读取请求体并校验，
+     * 通过后以 `req.rawBody`、`req.body` (JSON) 与 `req.hive` 调用原处理器。
+     * @param {function} handler - (req, res) => void
+     */
+    function http(handler) {
+        return async (req, res) => {
+            const { path, query } = _splitUrl(req.url);
+            try {
+                if (req.rawBody === undefined) {
+                    req.rawBody = await _readRawBody(req);
+                }
+                if (req.body === undefined) {
+                    req.body = _parseJsonBody(req.rawBody);
+                }
+                req.hive = await verify({
+                    method: req.method,
+                    path,
+                    query,
+                    bodySource: { rawBody: req.rawBody, contentType: req.headers['content-type'] },
+                    headers: req.headers
+                });
+            } catch (error) {
+                if (error instanceof WardenError) {
+                    return _sendJson(res, error.status, _errorPayload(error));
+                }
+                return _sendJson(res, 500, { code: 50000, msg: error.message });
+            }
+            if (signResponses) {
+                _bufferAndSign(res, (status, body) => signResponse(req.hive, status, body));
+            }
+            return handler(req, res);
+        };
+    }
+
+    return {
+        store,
+        issueSession,
+        createChallenge,
+        verifyProof,
+        handleInit,
+        verify,
+        verifyPass,
+        handleChallenge,
+        signResponse,
+        initHandler,
+        challengeHandler,
+        express,
+        koa,
+        koaInitHandler,
+        koaChallengeHandler,
+        http
+    };
+}
+
+module.exports = {
+    createWarden,
+    MemoryStore,
+    WardenError,
+    ERROR_CODES,
+    serializeParams,
+    serializeBody,
+    canonicalJsonStringify,
+    powLeadingZeroBits,
+    deriveKeys,
+    aesDecrypt,
+    hmacSha256Hex
+};
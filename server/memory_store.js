@@ -0,0 +1,103 @@
+/**
+ * HiveHyde Anti-Crawler System - Memory Store (Server)
+ *
+ * 功能:
+ * 1. 作为 Warden 的默认存储实现，在单进程内替代 Redis。
+ * 2. 保存 (session_token -> session_key) 的映射，并支持过期时间。
+ * 3. 记录已使用过的 Nonce，用于防重放校验。
+ * 4. 续期签发新会话后吊销旧令牌。
+ *
+ * 自定义存储 (如 Redis) 只需实现相同的四个异步方法即可:
+ *   setSession(token, key, ttlMs) / getSession(token) / revokeSession(token) / claimNonce(nonce, ttlMs)
+ *
+ * @version 1.0
+ */
+'use strict';
+
+const SWEEP_INTERVAL_MS = 60 * 1000; // 过期数据清理间隔：1分钟
+
+class MemoryStore {
+    constructor() {
+        this._sessions = new Map(); // token -> { key, expiresAt }
+        this._nonces = new Map();   // nonce -> expiresAt
+        this._lastSweep = Date.now();
+    }
+
+    /**
+     * 保存会话密钥
+     * @param {string} token - 会话令牌
+     * @param {string} key - 会话密钥 (64位十六进制)
+     * @param {number} ttlMs - 有效期 (毫秒)
+     * @returns {Promise<void>}
+     * @public
+     */
+    async setSession(token, key, ttlMs) {
+        this._sweep();
+        this._sessions.set(token, { key, expiresAt: Date.now() + ttlMs });
+    }
+
+    /**
+     * 根据令牌取出会话密钥
+     * @param {string} token - 会话令牌
+     * @returns {Promise<string|null>} - 不存在或已过期时返回 null
+     * @public
+     */
+    async getSession(token) {
+        const entry = this._sessions.get(token);
+        if (!entry) {
+            return null;
+        }
+        if (entry.expiresAt <= Date.now()) {
+            this._sessions.delete(token);
+            return null;
+        }
+        return entry.key;
+    }
+
+    /**
+     * 吊销会话令牌 (等价于 Redis 的 DEL)
+     * @param {string} token - 会话令牌
+     * @returns {Promise<void>}
+     * @public
+     */
+    async revokeSession(token) {
+        this._sessions.delete(token);
+    }
+
+    /**
+     * 原子地占用一个 Nonce (等价于 Redis 的 SET NX PX)
+     * @param {string} nonce - 请求随机数
+     * @param {number} ttlMs - 占用时长 (毫秒)
+     * @returns {Promise<boolean>} - 首次出现返回 true，重复出现返回 false
+     * @public
+     */
+    async claimNonce(nonce, ttlMs) {
+        this._sweep();
+        const expiresAt = this._nonces.get(nonce);
+        if (expiresAt && expiresAt > Date.now()) {
+            return false;
+        }
+        this._nonces.set(nonce, Date.now() + ttlMs);
+        return true;
+    }
+
+    /**
+     * 惰性清理过期数据，避免内存无限增长
+     * @private
+     */
+    _sweep() {
+        const now = Date.now();
+        if (now - this._lastSweep < SWEEP_INTERVAL_MS) {
+            return;
+        }
+        this._lastSweep = now;
+        for (const [token, entry] of this._sessions) {
+            if (entry.expiresAt <= now) this._sessions.delete(token);
+        }
+        for (const [nonce, expiresAt] of this._nonces) {
+            if (expiresAt <= now) this._nonces.delete(nonce);
+        }
+    }
+}
+
+module.exports = { MemoryStore };
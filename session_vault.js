@@ -6,6 +6,10 @@
  * 2. 安全地在内存中存储当前会话信息。
  * 3. 实现无感知的密钥自动续期机制，保证用户体验。
  * 4. 提供统一的接口供其他模块获取当前有效的密钥和令牌。
+ * 5. 当后端下发工作量证明 (PoW) 挑战时，在 Web Worker 中求解后再换取密钥，续期时附带已完成的证明。
+ * 6. 保存 /warden/init 随会话下发的策略覆盖 (policy)，会话更新时通知订阅者重新应用。
+ * 7. 多个标签页共享同一会话: 由 TabRelay 选出的主标签页负责获取与续期，并把会话广播给其他标签页。
+ *    会话只在内存中传递，密钥不会写入 localStorage 等持久化存储。
  *
  * @version 1.0
  */
@@ -19,11 +23,242 @@
     let sessionToken = null; // 当前会话令牌 (公开，用于后端快速查找密钥)
     let expiresAt = 0;       // 密钥过期时间戳 (毫秒)
     let isRefreshing = false; // 状态锁，防止并发续期
+    let lastProof = null;    // 最近一次被后端接受的 PoW 证明 { challenge, solution }，续期时附带
+    let pendingForcedRefresh = null; // 进行中的首次获取或强制续期 Promise，保证同一时刻只有一次 (single-flight)
+    let relay = null;        // TabRelay 句柄，未启用跨标签页共享时为 null
+    let sessionWaiters = []; // 等待主标签页下发会话的 { resolve, reject, timer }
+    let leaderRefreshTimer = null; // 主标签页的定时续期
+    let policyOverlay = null; // 后端随会话下发的策略覆盖，未下发时为 null
+    const sessionListeners = []; // 会话更新的订阅者
 
     // --- 配置常量 ---
     const API_INIT_ENDPOINT = '/warden/init'; // 获取密钥的后端API端点
     const KEY_LIFESPAN_MS = 30 * 60 * 1000;   // 密钥有效期：30分钟
     const REFRESH_BUFFER_MS = 2 * 60 * 1000;  // 提前续期缓冲时间：2分钟
+    const POW_MAX_DIFFICULTY = 32;             // 可接受的最大难度 (前导零比特数)，防止被下发无法完成的挑战
+    const POW_FALLBACK_CHUNK = 2000;           // 无 Worker 时主线程每个时间片尝试的次数
+    const RELAY_GROUP = 'session';             // TabRelay 协调组名称
+    const RELAY_ACK_TIMEOUT_MS = 3000;         // 等待主标签页应答的时长，超时则自行获取会话
+    const RELAY_PENDING_TIMEOUT_MS = 3 * 60 * 1000; // 主标签页正在获取会话 (可能在求解 PoW) 时的最长等待
+
+    /**
+     * 工作量证明求解器工厂。
+     * 该函数会被序列化后在 Web Worker 中执行，因此不能引用任何外部变量。
+     * 谜题: 找到最小的非负整数 n，使 SHA-256(`${salt}:${n}`) 的前导零比特数 >= difficulty。
+     * @private
+     */
+    function _createPowSolver() {
+        const K = [
+            0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+            0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+            0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+            0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+            0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+            0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+            0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+            0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+        ];
+        const encoder = new TextEncoder();
+        const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+
+        // 同步 SHA-256，返回 8 个 32 位字
+        function sha256Words(bytes) {
+            const len = bytes.length;
+            const wordCount = ((len + 9 + 63) >> 6) << 4;
+            const words = new Array(wordCount).fill(0);
+            for (let i = 0; i < len; i++) {
+                words[i >> 2] |= bytes[i] << (24 - (i % 4) * 8);
+            }
+            words[len >> 2] |= 0x80 << (24 - (len % 4) * 8);
+            words[wordCount - 1] = len * 8;
+
+            const hash = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+            const w = new Array(64);
+            for (let offset = 0; offset < wordCount; offset += 16) {
+                for (let t = 0; t < 64; t++) {
+                    if (t < 16) {
+                        w[t] = words[offset + t] | 0;
+                    } else {
+                        const s0 = rotr(w[t - 15], 7) ^ rotr(w[t - 15], 18) ^ (w[t - 15] >>> 3);
+                        const s1 = rotr(w[t - 2], 17) ^ rotr(w[t - 2], 19) ^ (w[t - 2] >>> 10);
+                        w[t] = (w[t - 16] + s0 + w[t - 7] + s1) | 0;
+                    }
+                }
+                let [a, b, c, d, e, f, g, h] = hash;
+                for (let t = 0; t < 64; t++) {
+                    const t1 = (h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + K[t] + w[t]) | 0;
+                    const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+                    h = g; g = f; f = e; e = (d + t1) | 0;
+                    d = c; c = b; b = a; a = (t1 + t2) | 0;
+                }
+                hash[0] = (hash[0] + a) | 0; hash[1] = (hash[1] + b) | 0;
+                hash[2] = (hash[2] + c) | 0; hash[3] = (hash[3] + d) | 0;
+                hash[4] = (hash[4] + e) | 0; hash[5] = (hash[5] + f) | 0;
+                hash[6] = (hash[6] + g) | 0; hash[7] = (hash[7] + h) | 0;
+            }
+            return hash;
+        }
+
+        function leadingZeroBits(hashWords) {
+            let bits = 0;
+            for (const word of hashWords) {
+                if (word === 0) {
+                    bits += 32;
+                    continue;
+                }
+                return bits + Math.clz32(word);
+            }
+            return bits;
+        }
+
+        /**
+         * 在 [start, start + count) 区间内搜索解，找不到返回 -1
+         */
+        function search(salt, difficulty, start, count) {
+            for (let n = start; n < start + count; n++) {
+                if (leadingZeroBits(sha256Words(encoder.encode(`${salt}:${n}`))) >= difficulty) {
+                    return n;
+                }
+            }
+            return -1;
+        }
+
+        return { search };
+    }
+
+    /**
+     * 在 Web Worker 中求解，不阻塞 UI 线程
+     * @private
+     */
+    function _solveInWorker(challenge, timeoutMs) {
+        const source = `const solver = (${_createPowSolver.toString()})();
+self.onmessage = (e) => {
+    const { salt, difficulty } = e.data;
+    for (let start = 0; ; start += 100000) {
+        const n = solver.search(salt, difficulty, start, 100000);
+        if (n >= 0) { self.postMessage({ solution: String(n) }); return; }
+    }
+};`;
+        const workerUrl = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+        const worker = new Worker(workerUrl);
+
+        return new Promise((resolve, reject) => {
+            const cleanup = () => {
+                clearTimeout(timer);
+                worker.terminate();
+                URL.revokeObjectURL(workerUrl);
+            };
+            const timer = setTimeout(() => {
+                cleanup();
+                reject(new Error('Proof-of-work challenge expired before it was solved.'));
+            }, timeoutMs);
+            worker.onmessage = (e) => {
+                cleanup();
+                resolve(e.data.solution);
+            };
+            worker.onerror = (e) => {
+                cleanup();
+                reject(new Error(`Proof-of-work worker failed: ${e.message || 'unknown error'}`));
+            };
+            worker.postMessage({ salt: challenge.salt, difficulty: challenge.difficulty });
+        });
+    }
+
+    /**
+     * 无法创建 Worker 时 (如 CSP 禁止 blob: 脚本)，在主线程分片求解，每片之间让出事件循环
+     * @private
+     */
+    function _solveInChunks(challenge, timeoutMs) {
+        const solver = _createPowSolver();
+        const deadline = Date.now() + timeoutMs;
+        return new Promise((resolve, reject) => {
+            let start = 0;
+            const step = () => {
+                if (Date.now() > deadline) {
+                    return reject(new Error('Proof-of-work challenge expired before it was solved.'));
+                }
+                const n = solver.search(challenge.salt, challenge.difficulty, start, POW_FALLBACK_CHUNK);
+                if (n >= 0) {
+                    return resolve(String(n));
+                }
+                start += POW_FALLBACK_CHUNK;
+                setTimeout(step, 0);
+            };
+            step();
+        });
+    }
+
+    /**
+     * 求解后端下发的工作量证明挑战
+     * @param {object} challenge - { salt, difficulty, expiresAt, ttlMs, signature }
+     * @returns {Promise<string>} - 解 (十进制字符串)
+     * @private
+     */
+    async function _solveChallenge(challenge) {
+        if (!challenge || typeof challenge.salt !== 'string' || typeof challenge.difficulty !== 'number' || typeof challenge.ttlMs !== 'number') {
+            throw new Error('Malformed proof-of-work challenge from server.');
+        }
+        if (challenge.difficulty > POW_MAX_DIFFICULTY) {
+            throw new Error(`Proof-of-work difficulty ${challenge.difficulty} exceeds the client limit.`);
+        }
+
+        // 求解期限使用相对时长 ttlMs，不受本地时钟偏差影响
+        const deadline = Date.now() + challenge.ttlMs;
+        console.log(`[HiveHyde] SessionVault: Solving proof-of-work challenge (difficulty ${challenge.difficulty})...`);
+
+        if (typeof Worker === 'function' && typeof Blob === 'function') {
+            try {
+                return await _solveInWorker(challenge, challenge.ttlMs);
+            } catch (error) {
+                if (Date.now() >= deadline) {
+                    throw error;
+                }
+                console.warn('[HiveHyde] SessionVault: Web Worker unavailable, solving on the main thread.', error.message);
+            }
+        }
+        return _solveInChunks(challenge, Math.max(0, deadline - Date.now()));
+    }
+
+    /**
+     * 调用 /warden/init 并解析响应
+     * @private
+     */
+    async function _postInit(fullApiUrl, payload) {
+        const response = await fetch(fullApiUrl, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: payload ? JSON.stringify(payload) : undefined
+        });
+
+        if (!response.ok) {
+            throw new Error(`Failed to fetch session, server responded with status: ${response.status}`);
+        }
+        return response.json();
+    }
+
+    /**
+     * 策略覆盖必须是对象，其余情况视为未下发
+     * @private
+     */
+    function _readPolicyOverlay(policy) {
+        return (policy && typeof policy === 'object' && !Array.isArray(policy)) ? policy : null;
+    }
+
+    /**
+     * 通知订阅者会话已更新 (首次获取、续期或从主标签页接收)
+     * @private
+     */
+    function _notifySessionUpdate() {
+        sessionListeners.forEach((listener) => {
+            try {
+                listener({ token: sessionToken, policy: policyOverlay });
+            } catch (e) {
+                console.error('[HiveHyde] SessionVault: Session listener failed.', e.message);
+            }
+        });
+    }
 
     /**
      * 向后端请求新的会话密钥和令牌
@@ -40,21 +275,18 @@
         console.log(`[HiveHyde] SessionVault: Fetching key from ${fullApiUrl}`);
 
         try {
-            const response = await fetch(fullApiUrl, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                // 可以附带一些初步信息，但此阶段不建议发送过多指纹
-                // body: JSON.stringify({ client_version: '4.2' })
-            });
+            // 续期时附带上次的 PoW 证明，后端认可则无需重新求解
+            const isRefresh = !!sessionToken;
+            let responseData = await _postInit(fullApiUrl, (isRefresh && lastProof) ? { token: sessionToken, proof: lastProof } : null);
 
-            if (!response.ok) {
-                throw new Error(`Failed to fetch session, server responded with status: ${response.status}`);
+            // 后端要求工作量证明: 求解后提交解换取密钥
+            let proof = isRefresh ? lastProof : null;
+            if (responseData.code === 0 && responseData.data && responseData.data.challenge && !responseData.data.key) {
+                const challenge = responseData.data.challenge;
+                proof = { challenge, solution: await _solveChallenge(challenge) };
+                responseData = await _postInit(fullApiUrl, isRefresh ? { token: sessionToken, proof } : { proof });
             }
 
-            const responseData = await response.json();
-
             // 严格的响应数据校验
             if (responseData.code !== 0 || !responseData.data || typeof responseData.data.key !== 'string' || typeof responseData.data.token !== 'string') {
                 const errorMsg = responseData.msg || 'Invalid or malformed session data from server.';
@@ -65,15 +297,30 @@
             sessionKey = sessionData.key;
             sessionToken = sessionData.token;
             expiresAt = Date.now() + KEY_LIFESPAN_MS;
+            lastProof = proof;
+            policyOverlay = _readPolicyOverlay(sessionData.policy);
 
             console.log('[HiveHyde] New session key and token acquired successfully.');
+            _notifySessionUpdate();
+
+            if (relay && relay.isLeader()) {
+                _broadcastSession();
+                _scheduleLeaderRefresh();
+            }
+            _settleWaiters(null);
 
         } catch (error) {
             // 请求失败或解析失败，清空所有状态
             sessionKey = null;
             sessionToken = null;
             expiresAt = 0;
+            lastProof = null;
+            policyOverlay = null;
             console.error('[HiveHyde] Error fetching new session:', error.message);
+            if (relay && relay.isLeader()) {
+                relay.post({ type: 'failed', message: error.message });
+            }
+            _settleWaiters(error);
             // 将原始错误包装后向上抛出
             throw new Error(`[HiveHyde] Session fetching failed: ${error.message}`);
         }
@@ -93,7 +340,7 @@
         isRefreshing = true; // 上锁
 
         try {
-            await _fetchNewSession();
+            await _acquireSession(sessionToken);
         } catch (error) {
             // 静默续期失败，只打印错误，不中断应用
             console.error('[HiveHyde] Silent refresh failed. Will continue with old key and retry on next request.', error.message);
@@ -102,6 +349,168 @@
         }
     }
 
+    // --- 跨标签页共享 ---
+
+    /**
+     * 主标签页: 把当前会话广播给其他标签页
+     * @private
+     */
+    function _broadcastSession() {
+        if (!sessionKey) {
+            return;
+        }
+        relay.post({ type: 'session', key: sessionKey, token: sessionToken, expiresAt, proof: lastProof, policy: policyOverlay });
+    }
+
+    /**
+     * 主标签页: 在密钥进入续期缓冲期时主动续期，空闲的主标签页也能让其他标签页拿到新密钥
+     * @private
+     */
+    function _scheduleLeaderRefresh() {
+        clearTimeout(leaderRefreshTimer);
+        leaderRefreshTimer = setTimeout(_checkAndRefreshToken, Math.max(0, expiresAt - REFRESH_BUFFER_MS - Date.now()));
+    }
+
+    /**
+     * 结束所有等待中的会话请求
+     * @param {Error|null} error - 为 null 时表示已获得会话
+     * @private
+     */
+    function _settleWaiters(error) {
+        const waiters = sessionWaiters;
+        sessionWaiters = [];
+        waiters.forEach((waiter) => {
+            clearTimeout(waiter.timer);
+            if (error) {
+                waiter.reject(error);
+            } else {
+                waiter.resolve();
+            }
+        });
+    }
+
+    function _armWaiter(waiter, timeoutMs) {
+        clearTimeout(waiter.timer);
+        waiter.timer = setTimeout(() => _settleWaiters(new Error('The leader tab did not respond.')), timeoutMs);
+    }
+
+    /**
+     * 从属标签页: 请求主标签页下发会话
+     * @param {string|null} staleToken - 需要被替换的令牌；为 null 时只索取当前会话
+     * @private
+     */
+    function _requestFromLeader(staleToken) {
+        const waiting = new Promise((resolve, reject) => {
+            const waiter = { resolve, reject, timer: null };
+            sessionWaiters.push(waiter);
+            _armWaiter(waiter, RELAY_ACK_TIMEOUT_MS);
+        });
+        relay.post({ type: 'request', staleToken });
+        return waiting;
+    }
+
+    /**
+     * 获取新会话: 主标签页 (或未启用共享时) 直接请求后端，从属标签页向主标签页索取。
+     * 主标签页无应答或获取失败时，从属标签页退回自行请求，保证可用性。
+     * @param {string|null} staleToken
+     * @private
+     */
+    async function _acquireSession(staleToken) {
+        if (!relay || relay.isLeader()) {
+            return _fetchNewSession();
+        }
+        try {
+            await _requestFromLeader(staleToken || null);
+        } catch (error) {
+            console.warn('[HiveHyde] SessionVault: Could not get the session from the leader tab, fetching it directly.', error.message);
+            await _fetchNewSession();
+        }
+    }
+
+    /**
+     * 以 single-flight 方式获取会话，首次获取与强制续期共用，
+     * 避免主标签页在首次获取完成前响应从属标签页时重复请求后端
+     * @private
+     */
+    function _acquireOnce(staleToken) {
+        if (!pendingForcedRefresh) {
+            pendingForcedRefresh = _acquireSession(staleToken).finally(() => {
+                pendingForcedRefresh = null;
+            });
+        }
+        return pendingForcedRefresh;
+    }
+
+    /**
+     * 主标签页: 响应从属标签页的会话请求
+     * @private
+     */
+    async function _serveFollower(message) {
+        relay.post({ type: 'pending' });
+        if (isRefreshing) {
+            return; // 进行中的静默续期完成后会广播结果
+        }
+        try {
+            if (!sessionKey || message.staleToken) {
+                await forceRefresh(message.staleToken || undefined);
+            } else {
+                await _checkAndRefreshToken();
+            }
+            _broadcastSession();
+        } catch (error) {
+            // _fetchNewSession 已广播失败消息
+        }
+    }
+
+    /**
+     * 处理其他标签页的消息
+     * @private
+     */
+    function _onRelayMessage(message) {
+        if (!relay || !message || typeof message !== 'object') {
+            return;
+        }
+        if (relay.isLeader()) {
+            if (message.type === 'request') {
+                _serveFollower(message);
+            }
+            return;
+        }
+
+        switch (message.type) {
+            case 'session':
+                sessionKey = message.key;
+                sessionToken = message.token;
+                expiresAt = message.expiresAt;
+                lastProof = message.proof || null;
+                policyOverlay = _readPolicyOverlay(message.policy);
+                _notifySessionUpdate();
+                _settleWaiters(null);
+                break;
+            case 'pending':
+                sessionWaiters.forEach(waiter => _armWaiter(waiter, RELAY_PENDING_TIMEOUT_MS));
+                break;
+            case 'failed':
+                _settleWaiters(new Error(message.message || 'The leader tab failed to fetch a session.'));
+                break;
+        }
+    }
+
+    /**
+     * 原主标签页关闭，本标签页接任: 继续定时续期，或在会话缺失、等待中时立即获取
+     * @private
+     */
+    function _onPromote() {
+        if (sessionKey && sessionWaiters.length === 0 && Date.now() < expiresAt - REFRESH_BUFFER_MS) {
+            _broadcastSession();
+            _scheduleLeaderRefresh();
+            return;
+        }
+        _fetchNewSession().catch((error) => {
+            console.error('[HiveHyde] SessionVault: New leader tab failed to fetch a session.', error.message);
+        });
+    }
+
 
     // --- 公共接口 ---
 
@@ -110,8 +519,12 @@
      * @public
      */
     async function initialize() {
-        // 首次启动，必须成功获取密钥
-        return _fetchNewSession();
+        const shareSession = !HiveHyde.config || HiveHyde.config.shareSession !== false;
+        if (!relay && shareSession && HiveHyde.TabRelay) {
+            relay = await HiveHyde.TabRelay.join(RELAY_GROUP, { onMessage: _onRelayMessage, onPromote: _onPromote });
+        }
+        // 首次启动，必须成功获取密钥 (从属标签页向主标签页索取)
+        return _acquireOnce(null);
     }
 
     /**
@@ -120,11 +533,34 @@
      * @public
      */
     async function getCurrentKey() {
+        // 强制续期进行中时，等待其完成，避免用即将作废的密钥签名
+        if (pendingForcedRefresh) {
+            await pendingForcedRefresh.catch(() => {});
+        }
         // 每次获取密钥前，都先检查一下是否需要续期
         await _checkAndRefreshToken();
         return sessionKey;
     }
 
+    /**
+     * 立即续期会话 (single-flight)。
+     * 用于后端判定签名或会话失效时的恢复，并发调用共享同一次请求。
+     * @param {string} [staleToken] - 失败请求所使用的令牌；若当前令牌已不同，说明已被其他请求续期，直接返回
+     * @returns {Promise<void>}
+     * @public
+     */
+    function forceRefresh(staleToken) {
+        if (pendingForcedRefresh) {
+            return pendingForcedRefresh;
+        }
+        if (staleToken && sessionToken && staleToken !== sessionToken) {
+            return Promise.resolve();
+        }
+
+        console.log('[HiveHyde] SessionVault: Forcing session refresh...');
+        return _acquireOnce(staleToken);
+    }
+
     /**
      * 获取当前有效的会话令牌
      * @returns {string|null}
@@ -135,11 +571,35 @@
     }
 
 
+    /**
+     * 获取后端随当前会话下发的策略覆盖
+     * @returns {object|null}
+     * @public
+     */
+    function getPolicyOverlay() {
+        return policyOverlay;
+    }
+
+    /**
+     * 订阅会话更新 (首次获取、续期、强制续期或从主标签页接收)
+     * @param {function} listener - ({ token, policy }) => void
+     * @public
+     */
+    function onSessionUpdate(listener) {
+        if (typeof listener === 'function') {
+            sessionListeners.push(listener);
+        }
+    }
+
+
     // --- 暴露接口 ---
     HiveHyde.SessionVault = {
         initialize,
         getCurrentKey,
-        getCurrentToken
+        getCurrentToken,
+        forceRefresh,
+        getPolicyOverlay,
+        onSessionUpdate
     };
 
 })(window);
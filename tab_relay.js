@@ -0,0 +1,90 @@
+/**
+ * HiveHyde Anti-Crawler System - Tab Relay
+ *
+ * 功能:
+ * 1. 借助 Web Locks 在同源的多个标签页之间选举唯一的主标签页。
+ * 2. 主标签页关闭后，浏览器会把锁交给排队中的下一个标签页，实现自动故障转移。
+ * 3. 借助 BroadcastChannel 在标签页之间收发消息，数据仅在内存中传递，不写入任何持久化存储。
+ *
+ * 环境不支持 Web Locks 或 BroadcastChannel 时不做协调，各标签页独立工作。
+ *
+ * @version 1.0
+ */
+(function(window) {
+    'use strict';
+
+    const HiveHyde = window.HiveHyde || (window.HiveHyde = {});
+
+    // --- 配置常量 ---
+    const NAME_PREFIX = 'hivehyde:'; // 锁与广播频道的名称前缀
+
+    /**
+     * 当前环境是否支持跨标签页协调
+     * @returns {boolean}
+     * @public
+     */
+    function isSupported() {
+        return !!(window.navigator && window.navigator.locks && typeof window.navigator.locks.request === 'function')
+            && typeof window.BroadcastChannel === 'function';
+    }
+
+    /**
+     * 加入一个协调组，并确定本标签页的角色
+     * @param {string} name - 协调组名称，同名的标签页互相协调
+     * @param {object} handlers
+     * @param {function} handlers.onMessage - (message) => void，收到其他标签页的消息
+     * @param {function} handlers.onPromote - () => void，原主标签页关闭后本标签页接任时调用
+     * @returns {Promise<{isLeader: function, post: function}|null>} - 环境不支持时返回 null
+     * @public
+     */
+    function join(name, handlers) {
+        if (!isSupported()) {
+            return Promise.resolve(null);
+        }
+
+        const fullName = `${NAME_PREFIX}${name}`;
+        const locks = window.navigator.locks;
+        const channel = new window.BroadcastChannel(fullName);
+        let isLeader = false;
+
+        channel.onmessage = (event) => handlers.onMessage(event.data);
+
+        // 锁回调返回一个永不完成的 Promise: 锁会一直被持有，直到标签页关闭
+        const holdUntilClosed = () => new Promise(() => {});
+        const handle = {
+            isLeader: () => isLeader,
+            post: (message) => channel.postMessage(message)
+        };
+
+        return new Promise((resolve) => {
+            locks.request(fullName, { ifAvailable: true }, (lock) => {
+                if (lock) {
+                    isLeader = true;
+                    resolve(handle);
+                    return holdUntilClosed();
+                }
+
+                resolve(handle);
+                // 已有主标签页: 排队等待，接任时通知调用方
+                locks.request(fullName, () => {
+                    isLeader = true;
+                    console.log(`[HiveHyde] TabRelay: This tab is now the leader of "${name}".`);
+                    handlers.onPromote();
+                    return holdUntilClosed();
+                });
+                return undefined;
+            }).catch((error) => {
+                console.warn('[HiveHyde] TabRelay: Leader election failed, tabs will work independently.', error.message);
+                channel.close();
+                resolve(null);
+            });
+        });
+    }
+
+    // --- 暴露接口 ---
+    HiveHyde.TabRelay = {
+        isSupported,
+        join
+    };
+
+})(window);
@@ -0,0 +1,138 @@
+/**
+ * 生成 synthetic_trajectories.json 中的自动化轨迹夹具 (固定随机种子，结果可复现)
+ *
+ * 覆盖常见自动化工具的移动方式: 匀速直线 (page.mouse.move steps)、缓动直线、
+ * 贝塞尔曲线鼠标库 (如 ghost-cursor) 与固定停顿的脚本。
+ * 真人轨迹不由本脚本生成，而是用 record_trajectory.html 录制后追加到 human_trajectories.json。
+ *
+ * 轨迹按 data_loom.js 的采集方式降采样: 整数像素坐标，相邻两点间隔超过 POINTER_SAMPLE_INTERVAL_MS (20 毫秒)，最多 200 个点。
+ *
+ * 运行: node test/fixtures/generate_trajectories.js
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const SAMPLE_INTERVAL_MS = 20;
+const MAX_POINTS = 200;
+
+function mulberry32(seed) {
+    return function() {
+        seed |= 0;
+        seed = seed + 0x6D2B79F5 | 0;
+        let t = Math.imul(seed ^ seed >>> 15, 1 | seed);
+        t = t + Math.imul(t ^ t >>> 7, 61 | t) ^ t;
+        return ((t ^ t >>> 14) >>> 0) / 4294967296;
+    };
+}
+
+function minimumJerk(tau) {
+    return 10 * Math.pow(tau, 3) - 15 * Math.pow(tau, 4) + 6 * Math.pow(tau, 5);
+}
+
+function cubicBezier(p0, p1, p2, p3, s) {
+    const u = 1 - s;
+    return [
+        u * u * u * p0[0] + 3 * u * u * s * p1[0] + 3 * u * s * s * p2[0] + s * s * s * p3[0],
+        u * u * u * p0[1] + 3 * u * u * s * p1[1] + 3 * u * s * s * p2[1] + s * s * s * p3[1]
+    ];
+}
+
+/**
+ * 按固定的事件间隔采样一段运动: position(tau) 给出 0-1 进度对应的坐标
+ */
+function emit(events, start, duration, position, eventInterval) {
+    let t = 0;
+    while (t < duration) {
+        t += eventInterval;
+        const [x, y] = position(Math.min(t / duration, 1));
+        events.push([x, y, start + t]);
+    }
+    return start + t;
+}
+
+/**
+ * 模拟 data_loom.js 的降采样
+ */
+function downsample(events) {
+    const points = [];
+    let last = -Infinity;
+    for (const [x, y, t] of events) {
+        const time = Math.round(t);
+        if (time - last > SAMPLE_INTERVAL_MS) {
+            points.push([Math.round(x), Math.round(y), time]);
+            last = time;
+        }
+    }
+    return points.slice(-MAX_POINTS);
+}
+
+function botSession(seed, moves, move) {
+    const random = mulberry32(seed);
+    const events = [];
+    let position = [200, 200];
+    let t = 1000;
+    for (let i = 0; i < moves; i++) {
+        const target = [Math.round(100 + random() * 1000), Math.round(100 + random() * 500)];
+        t = move(events, position, target, t, random);
+        position = target;
+    }
+    return downsample(events);
+}
+
+const synthetic = [
+    {
+        // puppeteer / playwright: page.mouse.move(x, y, { steps: 25 })
+        name: 'linear_steps',
+        points: botSession(201, 8, (events, from, to, start) => {
+            let t = start;
+            for (let i = 1; i <= 25; i++) {
+                t += 16;
+                events.push([from[0] + (to[0] - from[0]) * i / 25, from[1] + (to[1] - from[1]) * i / 25, t]);
+            }
+            return t + 300;
+        })
+    },
+    {
+        name: 'linear_eased',
+        points: botSession(202, 8, (events, from, to, start, random) =>
+            emit(events, start, 400, (tau) => {
+                const s = tau < 0.5 ? 2 * tau * tau : 1 - Math.pow(-2 * tau + 2, 2) / 2;
+                return [from[0] + (to[0] - from[0]) * s, from[1] + (to[1] - from[1]) * s];
+            }, 16) + 250 + random() * 500)
+    },
+    {
+        // 贝塞尔曲线，参数等步长
+        name: 'bezier_uniform',
+        points: botSession(203, 8, (events, from, to, start, random) => {
+            const c1 = [from[0] + (to[0] - from[0]) * 0.3 + (random() - 0.5) * 200, from[1] + (to[1] - from[1]) * 0.3 + (random() - 0.5) * 200];
+            const c2 = [from[0] + (to[0] - from[0]) * 0.7 + (random() - 0.5) * 200, from[1] + (to[1] - from[1]) * 0.7 + (random() - 0.5) * 200];
+            return emit(events, start, 500, (tau) => cubicBezier(from, c1, c2, to, tau), 16) + 200 + random() * 800;
+        })
+    },
+    {
+        // ghost-cursor 风格: 贝塞尔路径，步数按 Fitts 定律，缓动速度，没有过冲与修正。
+        // 只命中平滑类信号，单凭这些信号无法与平滑的真人移动区分，作为已知的漏检记录
+        name: 'bezier_fitts_eased',
+        knownEvasion: 'only smoothness signals (no_corrections, single_submovement) fire',
+        points: botSession(204, 8, (events, from, to, start, random) => {
+            const distance = Math.hypot(to[0] - from[0], to[1] - from[1]);
+            const spread = Math.min(200, distance / 2);
+            const c1 = [from[0] + (to[0] - from[0]) * 0.25 + (random() - 0.5) * spread, from[1] + (to[1] - from[1]) * 0.25 + (random() - 0.5) * spread];
+            const c2 = [from[0] + (to[0] - from[0]) * 0.75 + (random() - 0.5) * spread, from[1] + (to[1] - from[1]) * 0.75 + (random() - 0.5) * spread];
+            const duration = 150 + 150 * Math.log2(distance / 40 + 1);
+            return emit(events, start, duration, (tau) => cubicBezier(from, c1, c2, to, minimumJerk(tau)), 8) + 200 + random() * 900;
+        })
+    },
+    {
+        // 固定节奏的脚本: 匀速直线，每次移动后停顿相同时长
+        name: 'linear_fixed_pauses',
+        points: botSession(205, 10, (events, from, to, start, random) =>
+            emit(events, start, 300, (tau) => [from[0] + (to[0] - from[0]) * tau, from[1] + (to[1] - from[1]) * tau], 16) + 500)
+    }
+].map(entry => ({ name: entry.name, source: 'synthetic', knownEvasion: entry.knownEvasion || null, points: entry.points }));
+
+const output = path.join(__dirname, 'synthetic_trajectories.json');
+fs.writeFileSync(output, JSON.stringify(synthetic) + '\n');
+console.log(`Wrote ${synthetic.length} synthetic trajectories to ${output}`);
@@ -0,0 +1,21 @@
+/**
+ * 在独立的 vm 上下文中加载浏览器端模块 (IIFE + window.HiveHyde)，返回该上下文的 window
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+function loadBrowserModules(files, globals) {
+    const window = { console, ...globals };
+    window.window = window;
+    const context = vm.createContext(window);
+    for (const file of files) {
+        const filename = path.join(__dirname, '..', '..', file);
+        vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename });
+    }
+    return window;
+}
+
+module.exports = { loadBrowserModules };
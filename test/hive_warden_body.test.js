@@ -0,0 +1,84 @@
+/**
+ * server/hive_warden.js 请求体签名: body parser 已消费数据流时的处理
+ *
+ * 运行: node --test test/
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { createWarden, hmacSha256Hex } = require('../server/hive_warden');
+
+/**
+ * 模拟经过 body parser 的 Express 请求: 数据流已读完，req.body 为解析结果，按协议 v1 签名
+ * serializedBody 为前端 _serializeBody 的结果
+ */
+function parsedRequest(session, contentType, parsedBody, serializedBody) {
+    const key = Buffer.from(session.key, 'hex');
+    const cipher = crypto.createCipheriv('aes-256-cbc', key, key.subarray(0, 16));
+    const fingerprintJson = JSON.stringify({ schema: 1 });
+    const timestamp = String(Date.now());
+    const nonce = crypto.randomBytes(8).toString('hex');
+    const dataToSign = [timestamp, nonce, 'POST', '/api/orders', serializedBody, '0', fingerprintJson].join('||');
+    return {
+        method: 'POST',
+        url: '/api/orders',
+        _body: true,
+        body: parsedBody,
+        headers: {
+            'content-type': contentType,
+            'x-hive-signature': hmacSha256Hex(dataToSign, key),
+            'x-hive-timestamp': timestamp,
+            'x-hive-nonce': nonce,
+            'x-hive-token': session.token,
+            'x-hive-riskscore': '0',
+            'x-hive-fingerprint-json': Buffer.concat([cipher.update(fingerprintJson, 'utf8'), cipher.final()]).toString('base64')
+        }
+    };
+}
+
+function runExpress(warden, req) {
+    return new Promise((resolve) => {
+        const res = { setHeader() {}, end: () => resolve({ rejected: true }) };
+        warden.express()(req, res, (error) => resolve({ error, hive: req.hive }));
+    });
+}
+
+function binaryDigest(text) {
+    const bytes = Buffer.from(text, 'utf8');
+    return `binary:${bytes.length}:${crypto.createHash('sha256').update(bytes).digest('hex')}`;
+}
+
+test('verifies a JSON body consumed by express.json from its parsed value', async () => {
+    const warden = createWarden();
+    const session = await warden.issueSession();
+    const req = parsedRequest(session, 'application/json', { b: 1, a: 2 }, '{"a":2,"b":1}');
+    const { error, hive } = await runExpress(warden, req);
+    assert.strictEqual(error, undefined);
+    assert.ok(hive);
+});
+
+test('refuses to verify a consumed urlencoded body without req.rawBody', async () => {
+    const warden = createWarden();
+    const session = await warden.issueSession();
+    const req = parsedRequest(session, 'application/x-www-form-urlencoded', { a: '1' }, binaryDigest('a=1'));
+    const { error } = await runExpress(warden, req);
+    assert.ok(error instanceof Error);
+    assert.match(error.message, /req\.rawBody/);
+});
+
+test('verifies urlencoded and text bodies from req.rawBody saved by the verify hook', async () => {
+    const warden = createWarden();
+    const session = await warden.issueSession();
+    for (const [contentType, parsedBody, raw] of [
+        ['application/x-www-form-urlencoded', { a: '1', b: 'x y' }, 'b=x+y&a=1'],
+        ['text/plain', 'hello', 'hello']
+    ]) {
+        const req = parsedRequest(session, contentType, parsedBody, binaryDigest(raw));
+        req.rawBody = Buffer.from(raw, 'utf8');
+        const { error, hive } = await runExpress(warden, req);
+        assert.strictEqual(error, undefined, contentType);
+        assert.ok(hive, contentType);
+    }
+});
@@ -0,0 +1,172 @@
+/**
+ * server/hive_warden.js 人机验证: 伪造的作答轨迹与键盘通行证
+ *
+ * 运行: node --test test/
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { createWarden, ERROR_CODES, hmacSha256Hex } = require('../server/hive_warden');
+
+async function issueChallenge(warden, token) {
+    return (await warden.handleChallenge({ token })).data.challenge;
+}
+
+async function answer(warden, token, challenge, trace) {
+    const position = trace.samples[trace.samples.length - 1][0];
+    return warden.handleChallenge({ token, challenge, answer: { position }, trace });
+}
+
+async function assertRejected(promise) {
+    await assert.rejects(promise, (error) => error.code === ERROR_CODES.CHALLENGE_FAILED);
+}
+
+/**
+ * 模拟真人键盘作答: 先按 PageUp 再按方向键微调，按键间隔 120~260 毫秒，最后按 Enter 提交
+ */
+function keyboardTrace(target) {
+    const samples = [[0, 0]];
+    let position = 0;
+    let t = 600;
+    const pages = Math.floor(target * 10);
+    const keys = Array(pages).fill(0.1).concat(Array(Math.round((target - pages / 10) * 100)).fill(0.01));
+    keys.forEach((step, i) => {
+        position = Math.round((position + step) * 10000) / 10000;
+        t += 120 + (i * 37) % 140;
+        samples.push([position, t]);
+    });
+    samples.push([position, t + 400]);
+    return { input: 'keyboard', samples };
+}
+
+/**
+ * 拖动轨迹: eased 为先加速后减速的真人拖动，否则为匀速的线性插值
+ */
+function pointerTrace(target, eased) {
+    const samples = [[0, 0], [0, 200]]; // 200 毫秒后按下
+    let t = 200;
+    for (let i = 1; i <= 20; i++) {
+        const progress = eased ? Math.sin(i / 20 * Math.PI / 2) : i / 20;
+        t += eased ? 17 + (i % 3) * 10 : 20;
+        samples.push([Math.round(target * progress * 10000) / 10000, t]);
+    }
+    return { input: 'pointer', samples };
+}
+
+/**
+ * 按协议 v1 构造一个已签名的 GET 请求 (与前端 risk_matrix.js 的 assessAndSign 一致)
+ */
+function signedRequest(session, riskScore, pass) {
+    const key = Buffer.from(session.key, 'hex');
+    const cipher = crypto.createCipheriv('aes-256-cbc', key, key.subarray(0, 16));
+    const fingerprintJson = JSON.stringify({ schema: 1 });
+    const timestamp = String(Date.now());
+    const nonce = crypto.randomBytes(8).toString('hex');
+    const dataToSign = [timestamp, nonce, 'GET', '/api/orders', '', String(riskScore), fingerprintJson].join('||');
+    const headers = {
+        'x-hive-signature': hmacSha256Hex(dataToSign, key),
+        'x-hive-timestamp': timestamp,
+        'x-hive-nonce': nonce,
+        'x-hive-token': session.token,
+        'x-hive-riskscore': String(riskScore),
+        'x-hive-fingerprint-json': Buffer.concat([cipher.update(fingerprintJson, 'utf8'), cipher.final()]).toString('base64'),
+        'x-hive-challenge-pass': pass
+    };
+    return { method: 'GET', path: '/api/orders', query: {}, headers };
+}
+
+async function setup(challengeOptions) {
+    const warden = createWarden({ challenge: challengeOptions || { threshold: 10 } });
+    const { token } = await warden.issueSession();
+    return { warden, token };
+}
+
+test('accepts a human-like keyboard answer and marks the pass as keyboard-issued', async () => {
+    const { warden, token } = await setup();
+    const challenge = await issueChallenge(warden, token);
+    const { pass } = (await answer(warden, token, challenge, keyboardTrace(challenge.target))).data;
+    assert.match(pass.token, /^\d+\.keyboard\.[0-9a-f]{64}$/);
+    assert.strictEqual(warden.verifyPass(pass.token, token), true);
+});
+
+test('rejects a forged keyboard trace that jumps straight to the target', async () => {
+    const { warden, token } = await setup();
+    const challenge = await issueChallenge(warden, token);
+    await assertRejected(answer(warden, token, challenge, { input: 'keyboard', samples: [[0, 0], [challenge.target, 5000]] }));
+});
+
+test('rejects keyboard traces whose steps are not key presses', async () => {
+    const { warden, token } = await setup();
+    const challenge = await issueChallenge(warden, token);
+    const trace = keyboardTrace(challenge.target);
+    trace.samples.splice(2, 0, [trace.samples[1][0] + 0.037, trace.samples[1][1] + 60]);
+    await assertRejected(answer(warden, token, challenge, trace));
+});
+
+test('rejects keyboard traces with key presses faster than key repeat', async () => {
+    const { warden, token } = await setup();
+    const challenge = await issueChallenge(warden, token);
+    const trace = keyboardTrace(challenge.target);
+    trace.samples = trace.samples.map(([position, t], i) => [position, i === 0 ? 0 : 400 + i * 10]);
+    await assertRejected(answer(warden, token, challenge, trace));
+});
+
+test('rejects keyboard traces with too few key presses', async () => {
+    const { warden, token } = await setup();
+    const challenge = await issueChallenge(warden, token);
+    // End 直接跳到最右侧只算一次按键
+    await assertRejected(warden.handleChallenge({
+        token,
+        challenge: { ...challenge },
+        answer: { position: 1 },
+        trace: { input: 'keyboard', samples: [[0, 0], [1, 800], [1, 1200]] }
+    }));
+});
+
+test('rejects traces with an unknown input type', async () => {
+    const { warden, token } = await setup();
+    const challenge = await issueChallenge(warden, token);
+    await assertRejected(answer(warden, token, challenge, { ...keyboardTrace(challenge.target), input: 'script' }));
+});
+
+test('issues at most one keyboard pass per session token while it is valid', async () => {
+    const { warden, token } = await setup();
+    let challenge = await issueChallenge(warden, token);
+    await answer(warden, token, challenge, keyboardTrace(challenge.target));
+    challenge = await issueChallenge(warden, token);
+    await assertRejected(answer(warden, token, challenge, keyboardTrace(challenge.target)));
+    // 拖动作答不受限制
+    challenge = await issueChallenge(warden, token);
+    const { pass } = (await answer(warden, token, challenge, pointerTrace(challenge.target, true))).data;
+    assert.match(pass.token, /^\d+\.pointer\./);
+});
+
+test('rejects a linearly interpolated drag and accepts an eased one', async () => {
+    const { warden, token } = await setup();
+    let challenge = await issueChallenge(warden, token);
+    await assertRejected(answer(warden, token, challenge, pointerTrace(challenge.target, false)));
+    challenge = await issueChallenge(warden, token);
+    await answer(warden, token, challenge, pointerTrace(challenge.target, true));
+});
+
+test('rejects a pass whose input marker was altered', async () => {
+    const { warden, token } = await setup();
+    const challenge = await issueChallenge(warden, token);
+    const { pass } = (await answer(warden, token, challenge, keyboardTrace(challenge.target))).data;
+    assert.strictEqual(warden.verifyPass(pass.token.replace('.keyboard.', '.pointer.'), token), false);
+});
+
+test('ignores keyboard passes at or above keyboardThreshold', async () => {
+    const warden = createWarden({ challenge: { threshold: 10, keyboardThreshold: 50 } });
+    const session = await warden.issueSession();
+    const challenge = await issueChallenge(warden, session.token);
+    const { pass } = (await answer(warden, session.token, challenge, keyboardTrace(challenge.target))).data;
+
+    const hive = await warden.verify(signedRequest(session, 20, pass.token));
+    assert.strictEqual(hive.challengePassed, true);
+    assert.strictEqual(hive.challengeInput, 'keyboard');
+    await assert.rejects(warden.verify(signedRequest(session, 60, pass.token)),
+        (error) => error.code === ERROR_CODES.CHALLENGE_REQUIRED);
+});
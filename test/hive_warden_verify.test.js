@@ -0,0 +1,51 @@
+/**
+ * server/hive_warden.js 请求校验: Nonce 只在签名通过后占用
+ *
+ * 运行: node --test test/
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { createWarden, ERROR_CODES, hmacSha256Hex } = require('../server/hive_warden');
+
+/**
+ * 按协议 v1 构造一个已签名的 GET 请求 (与前端 risk_matrix.js 的 assessAndSign 一致)
+ */
+function signedRequest(session, nonce) {
+    const key = Buffer.from(session.key, 'hex');
+    const cipher = crypto.createCipheriv('aes-256-cbc', key, key.subarray(0, 16));
+    const fingerprintJson = JSON.stringify({ schema: 1 });
+    const timestamp = String(Date.now());
+    const dataToSign = [timestamp, nonce, 'GET', '/api/orders', '', '0', fingerprintJson].join('||');
+    const headers = {
+        'x-hive-signature': hmacSha256Hex(dataToSign, key),
+        'x-hive-timestamp': timestamp,
+        'x-hive-nonce': nonce,
+        'x-hive-token': session.token,
+        'x-hive-riskscore': '0',
+        'x-hive-fingerprint-json': Buffer.concat([cipher.update(fingerprintJson, 'utf8'), cipher.final()]).toString('base64')
+    };
+    return { method: 'GET', path: '/api/orders', query: {}, headers };
+}
+
+test('a forged signature does not consume the nonce of the legitimate request', async () => {
+    const warden = createWarden();
+    const session = await warden.issueSession();
+    const request = signedRequest(session, 'a1b2c3d4');
+    const forged = { ...request, headers: { ...request.headers, 'x-hive-signature': '0'.repeat(64) } };
+
+    await assert.rejects(warden.verify(forged), (error) => error.code === ERROR_CODES.INVALID_SIGNATURE);
+    const hive = await warden.verify(request);
+    assert.strictEqual(hive.token, session.token);
+});
+
+test('rejects a replayed request once its signature has been verified', async () => {
+    const warden = createWarden();
+    const session = await warden.issueSession();
+    const request = signedRequest(session, 'e5f6a7b8');
+
+    await warden.verify(request);
+    await assert.rejects(warden.verify(request), (error) => error.code === ERROR_CODES.REPLAYED);
+});
@@ -0,0 +1,85 @@
+/**
+ * trajectory_model.js: 真人与自动化工具的轨迹评分应以 regular_trajectory 规则的阈值 (0.5) 分开
+ *
+ * human_trajectories.json 为 record_trajectory.html 录制的真人轨迹；
+ * synthetic_trajectories.json 由 generate_trajectories.js 生成，knownEvasion 标注了目前无法识别的自动化轨迹。
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBrowserModules } = require('./helpers/load_browser_module');
+const human = require('./fixtures/human_trajectories.json');
+const synthetic = require('./fixtures/synthetic_trajectories.json');
+
+const REGULAR_TRAJECTORY_THRESHOLD = 0.5; // risk_rules.js 中 regular_trajectory 的阈值
+const { TrajectoryModel } = loadBrowserModules(['trajectory_model.js']).HiveHyde;
+
+function scoreOf(points) {
+    return TrajectoryModel.score(TrajectoryModel.extractFeatures(points));
+}
+
+/**
+ * 中性的特征值: 不命中任何信号，用例只改动需要的字段
+ */
+function neutralFeatures(overrides) {
+    return {
+        straightness: 0.9,
+        velocity: { cv: 0.8, strokeCv: 0.6 },
+        curvature: { mean: 0.02, std: 0.03 },
+        jerk: { mean: 1000, std: 900 },
+        directionEntropy: 0.6,
+        measuredStrokes: 6,
+        corrections: 2,
+        resubmovementRate: 0.6,
+        pauses: { count: 5, cv: 0.7 },
+        ...overrides
+    };
+}
+
+if (human.length === 0) {
+    test('recorded human trajectories score at or below the threshold', { todo: 'record traces with test/fixtures/record_trajectory.html' }, () => {});
+}
+
+for (const trajectory of human) {
+    test(`recorded human trajectory "${trajectory.name}" (${trajectory.device}) scores at or below the threshold`, () => {
+        const result = scoreOf(trajectory.points);
+        assert.ok(result.score <= REGULAR_TRAJECTORY_THRESHOLD, `score ${result.score}, signals ${result.signals.join(', ')}`);
+        assert.ok(!result.signals.includes('straight_path'), 'straight_path alone triggers straight_line_trajectory');
+    });
+}
+
+for (const trajectory of synthetic) {
+    const options = trajectory.knownEvasion ? { todo: `known evasion: ${trajectory.knownEvasion}` } : {};
+    test(`synthetic trajectory "${trajectory.name}" scores above the threshold`, options, () => {
+        const result = scoreOf(trajectory.points);
+        assert.ok(result.score > REGULAR_TRAJECTORY_THRESHOLD, `score ${result.score}, signals ${result.signals.join(', ')}`);
+    });
+}
+
+test('every recorded human trajectory scores below every detected synthetic one', { skip: human.length === 0 && 'no recorded human trajectories yet' }, () => {
+    const highestHuman = Math.max(...human.map(t => scoreOf(t.points).score));
+    const lowestSynthetic = Math.min(...synthetic.filter(t => !t.knownEvasion).map(t => scoreOf(t.points).score));
+    assert.ok(highestHuman < lowestSynthetic, `highest human ${highestHuman}, lowest synthetic ${lowestSynthetic}`);
+});
+
+test('smooth strokes without corrective submovements alone stay at or below the threshold', () => {
+    const result = TrajectoryModel.score(neutralFeatures({ corrections: 0, resubmovementRate: 0 }));
+    assert.deepStrictEqual(Array.from(result.signals), ['no_corrections', 'single_submovement']);
+    assert.ok(result.score <= REGULAR_TRAJECTORY_THRESHOLD, `score ${result.score}`);
+});
+
+test('measures speed variation within each stroke rather than across strokes', () => {
+    const linear = synthetic.find(t => t.name === 'linear_steps');
+    const features = TrajectoryModel.extractFeatures(linear.points);
+    // 每段匀速但距离不同: 合并后的变异系数较大，逐笔画的变异系数接近 0
+    assert.ok(features.velocity.cv > 0.3);
+    assert.ok(features.velocity.strokeCv < 0.1);
+    assert.ok(scoreOf(linear.points).signals.includes('constant_speed'));
+});
+
+test('returns a zero score when there are too few points', () => {
+    const result = scoreOf([[0, 0, 0], [10, 10, 30]]);
+    assert.strictEqual(result.score, 0);
+    assert.strictEqual(result.signals.length, 0);
+});
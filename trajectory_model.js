@@ -0,0 +1,284 @@
+/**
+ * HiveHyde Anti-Crawler System - Trajectory Model
+ *
+ * 功能:
+ * 1. 从指针轨迹中提取运动学特征: 速度、加速度、加加速度 (jerk)、曲率、停顿分布、过冲与修正、修正子运动以及方向熵。
+ * 2. 根据特征计算轨迹的机器可能性评分 (0-1)，识别匀速直线、完美曲线 (如贝塞尔曲线鼠标库) 等不自然的运动。
+ *
+ * 轨迹点格式: [x, y, t]，坐标为像素，t 为毫秒时间戳。
+ * 特征单位: 速度 像素/秒，加速度 像素/秒²，加加速度 像素/秒³，曲率 弧度/像素。
+ * 相邻两点间隔超过 PAUSE_MS 视为停顿，轨迹在停顿处切分为若干笔画 (stroke) 分别分析。
+ *
+ * @version 1.0
+ */
+(function(window) {
+    'use strict';
+
+    const HiveHyde = window.HiveHyde || (window.HiveHyde = {});
+
+    // --- 配置常量 ---
+    const MIN_POINTS = 10;           // 点太少，不具备分析价值
+    const MIN_STROKE_POINTS = 4;     // 计算加加速度至少需要 4 个点
+    const PAUSE_MS = 150;            // 超过该间隔视为停顿
+    const MIN_STROKE_LENGTH = 20;    // 过冲判定只针对有一定位移的笔画 (像素)
+    const OVERSHOOT_RATIO = 1.03;    // 越过终点超过位移的 3% 视为过冲
+    const REVERSAL_ANGLE = Math.PI * 2 / 3; // 单步转向超过 120° 视为一次修正
+    const RESUBMOVEMENT_SPEED = 60;  // 越过速度峰值后再次加速超过该值 (像素/秒) 视为一次修正子运动
+    const ENTROPY_BINS = 8;
+
+    // --- 私有工具函数 ---
+
+    /**
+     * 均值、标准差与变异系数，样本为空时均为 0
+     * @private
+     */
+    function _stats(values) {
+        if (values.length === 0) {
+            return { mean: 0, std: 0, cv: 0 };
+        }
+        const mean = values.reduce((a, b) => a + b, 0) / values.length;
+        const std = Math.sqrt(values.map(x => Math.pow(x - mean, 2)).reduce((a, b) => a + b, 0) / values.length);
+        return { mean, std, cv: mean === 0 ? 0 : std / Math.abs(mean) };
+    }
+
+    /**
+     * 归一化香农熵 (0-1): 把 [min, max) 等分为 ENTROPY_BINS 个区间统计分布
+     * @private
+     */
+    function _entropy(values, min, max) {
+        if (values.length === 0 || max <= min) {
+            return 0;
+        }
+        const counts = new Array(ENTROPY_BINS).fill(0);
+        for (const value of values) {
+            const bin = Math.floor((value - min) / (max - min) * ENTROPY_BINS);
+            counts[Math.min(Math.max(bin, 0), ENTROPY_BINS - 1)]++;
+        }
+        let entropy = 0;
+        for (const count of counts) {
+            if (count > 0) {
+                const p = count / values.length;
+                entropy -= p * Math.log2(p);
+            }
+        }
+        return entropy / Math.log2(ENTROPY_BINS);
+    }
+
+    /**
+     * 把角度差折算到 (-π, π]
+     * @private
+     */
+    function _wrapAngle(angle) {
+        while (angle > Math.PI) angle -= 2 * Math.PI;
+        while (angle <= -Math.PI) angle += 2 * Math.PI;
+        return angle;
+    }
+
+    function _round(value) {
+        return Math.round(value * 10000) / 10000;
+    }
+
+    /**
+     * 在停顿处切分笔画，同时记录停顿时长
+     * @private
+     */
+    function _splitStrokes(points) {
+        const strokes = [];
+        const pauses = [];
+        let current = [points[0]];
+        for (let i = 1; i < points.length; i++) {
+            const gap = points[i][2] - points[i - 1][2];
+            if (gap > PAUSE_MS) {
+                pauses.push(gap);
+                strokes.push(current);
+                current = [];
+            }
+            current.push(points[i]);
+        }
+        strokes.push(current);
+        return { strokes: strokes.filter(stroke => stroke.length >= MIN_STROKE_POINTS), pauses };
+    }
+
+    /**
+     * 分析单个笔画，运动学量写入 acc 中累计
+     * @private
+     */
+    function _analyzeStroke(stroke, acc) {
+        const velocities = [];
+        let lastVelocity = null;
+        let lastAcceleration = null;
+        let lastAngle = null;
+        let pathLength = 0;
+
+        for (let i = 1; i < stroke.length; i++) {
+            const dx = stroke[i][0] - stroke[i - 1][0];
+            const dy = stroke[i][1] - stroke[i - 1][1];
+            const dt = stroke[i][2] - stroke[i - 1][2];
+            const distance = Math.sqrt(dx * dx + dy * dy);
+            if (dt <= 0) continue;
+            pathLength += distance;
+
+            const seconds = dt / 1000;
+            const velocity = distance / seconds;
+            velocities.push(velocity);
+            if (lastVelocity !== null) {
+                const acceleration = (velocity - lastVelocity) / seconds;
+                acc.accelerations.push(acceleration);
+                if (lastAcceleration !== null) {
+                    acc.jerks.push((acceleration - lastAcceleration) / seconds);
+                }
+                lastAcceleration = acceleration;
+            }
+            lastVelocity = velocity;
+
+            if (distance === 0) continue; // 静止点没有方向
+            const angle = Math.atan2(dy, dx);
+            acc.directions.push(angle);
+            if (lastAngle !== null) {
+                const turn = _wrapAngle(angle - lastAngle);
+                acc.curvatures.push(Math.abs(turn) / distance);
+                if (Math.abs(turn) > REVERSAL_ANGLE) {
+                    acc.corrections++;
+                }
+            }
+            lastAngle = angle;
+        }
+
+        // 直线度: 起终点位移 / 实际路径长度
+        const start = stroke[0];
+        const end = stroke[stroke.length - 1];
+        const ex = end[0] - start[0];
+        const ey = end[1] - start[1];
+        const displacement = Math.sqrt(ex * ex + ey * ey);
+        if (pathLength > 0) {
+            acc.straightness.push(displacement / pathLength);
+        }
+        acc.velocities.push(...velocities);
+        // 速度变化按笔画计算: 每次移动的距离不同，合并计算会掩盖每一段内的匀速
+        if (velocities.length >= 2) {
+            acc.strokeSpeedCvs.push(_stats(velocities).cv);
+        }
+
+        // 过冲: 沿起终点方向的最远投影明显越过终点
+        if (displacement >= MIN_STROKE_LENGTH) {
+            acc.measuredStrokes++;
+            const maxProjection = Math.max(...stroke.map(p => ((p[0] - start[0]) * ex + (p[1] - start[1]) * ey) / displacement));
+            if (maxProjection > displacement * OVERSHOOT_RATIO) {
+                acc.overshoots++;
+            }
+            // 修正子运动: 人手的主运动结束前后常有一次小的再加速，缓动函数生成的速度在峰值后单调下降
+            const peak = velocities.indexOf(Math.max(...velocities));
+            let slowest = Infinity;
+            for (let i = peak; i < velocities.length; i++) {
+                slowest = Math.min(slowest, velocities[i]);
+                if (velocities[i] - slowest >= RESUBMOVEMENT_SPEED) {
+                    acc.resubmovements++;
+                    break;
+                }
+            }
+        }
+    }
+
+    // --- 公共接口 ---
+
+    /**
+     * 提取轨迹特征
+     * @param {Array} points - 轨迹点数组 [[x, y, t], ...]
+     * @returns {object|null} - 点数不足或没有可分析的笔画时返回 null
+     * @public
+     */
+    function extractFeatures(points) {
+        if (!Array.isArray(points) || points.length < MIN_POINTS) {
+            return null;
+        }
+        const { strokes, pauses } = _splitStrokes(points);
+        if (strokes.length === 0) {
+            return null;
+        }
+
+        const acc = {
+            velocities: [], strokeSpeedCvs: [], accelerations: [], jerks: [], curvatures: [], directions: [], straightness: [],
+            corrections: 0, overshoots: 0, resubmovements: 0, measuredStrokes: 0
+        };
+        strokes.forEach(stroke => _analyzeStroke(stroke, acc));
+
+        const velocity = _stats(acc.velocities);
+        const acceleration = _stats(acc.accelerations.map(Math.abs));
+        const jerk = _stats(acc.jerks.map(Math.abs));
+        const curvature = _stats(acc.curvatures);
+        const pause = _stats(pauses);
+        return {
+            pointCount: points.length,
+            strokes: strokes.length,
+            velocity: {
+                mean: _round(velocity.mean), std: _round(velocity.std), cv: _round(velocity.cv), max: _round(Math.max(0, ...acc.velocities)),
+                strokeCv: _round(_stats(acc.strokeSpeedCvs).mean) // 各笔画内速度变异系数的均值
+            },
+            acceleration: { mean: _round(acceleration.mean), std: _round(acceleration.std) },
+            jerk: { mean: _round(jerk.mean), std: _round(jerk.std) },
+            curvature: { mean: _round(curvature.mean), std: _round(curvature.std) },
+            straightness: _round(_stats(acc.straightness).mean),
+            pauses: { count: pauses.length, mean: Math.round(pause.mean), cv: _round(pause.cv) },
+            overshootRate: acc.measuredStrokes === 0 ? 0 : _round(acc.overshoots / acc.measuredStrokes),
+            resubmovementRate: acc.measuredStrokes === 0 ? 0 : _round(acc.resubmovements / acc.measuredStrokes),
+            measuredStrokes: acc.measuredStrokes,
+            corrections: acc.corrections,
+            directionEntropy: _round(_entropy(acc.directions, -Math.PI, Math.PI)),
+            speedEntropy: _round(_entropy(acc.velocities, 0, Math.max(...acc.velocities, 0) + 1e-9))
+        };
+    }
+
+    /**
+     * 根据特征计算机器可能性评分
+     * @param {object|null} features - extractFeatures 的结果
+     * @returns {{score: number, signals: string[]}} - score 越接近 1 越像机器生成的轨迹
+     * @public
+     */
+    function score(features) {
+        if (!features) {
+            return { score: 0, signals: [] };
+        }
+        const signals = [];
+        let total = 0;
+        const flag = (signal, points) => {
+            signals.push(signal);
+            total += points;
+        };
+
+        if (features.straightness >= 0.99) {
+            flag('straight_path', 0.35); // 人手很难画出笔直的路径
+        }
+        if (features.velocity.strokeCv < 0.3) {
+            flag('constant_speed', 0.3); // 人的每一次移动都有明显的加速与减速
+        }
+        if (features.straightness < 0.99 && features.curvature.mean > 0 && features.curvature.std / features.curvature.mean < 0.3) {
+            flag('uniform_curvature', 0.25); // 曲率过于均匀: 圆弧或插值曲线
+        }
+        if (features.jerk.mean > 0 && features.jerk.std / features.jerk.mean < 0.3) {
+            flag('smooth_jerk', 0.2); // 加加速度几乎恒定: 缓动函数生成的速度曲线
+        }
+        if (features.directionEntropy < 0.15) {
+            flag('low_direction_entropy', 0.15);
+        }
+        // 以下两项都只说明移动平滑，熟练的真人同样常见: 两者之和须低于 regular_trajectory 的阈值 (0.5)，
+        // 只有与路径、速度或停顿上的机器特征同时出现时才会越过阈值
+        if (features.measuredStrokes >= 3 && features.corrections === 0) {
+            flag('no_corrections', 0.2); // 多次移动都没有回调 (曲线路径越过终点投影后平滑返回不算修正)
+        }
+        if (features.measuredStrokes >= 3 && features.resubmovementRate < 0.34) {
+            flag('single_submovement', 0.2); // 大多数移动只有一次加速与减速，没有修正子运动
+        }
+        if (features.pauses.count >= 3 && features.pauses.cv < 0.1) {
+            flag('uniform_pauses', 0.25); // 每次停顿时长几乎相同
+        }
+
+        return { score: Math.min(_round(total), 1), signals };
+    }
+
+    // --- 暴露接口 ---
+    HiveHyde.TrajectoryModel = {
+        extractFeatures,
+        score
+    };
+
+})(window);